@@ -4,8 +4,13 @@
 // src/worker.js) which sends each player a filtered view of the game. This works
 // across any network — no NAT traversal, no peer connections.
 //
-// Public surface used by the UI: createGame / joinGame / rejoinGame / doAction /
-// getPublicState / getKnowledge / onStateUpdate / onConnectionChange / onError.
+// Public surface used by the UI: createGame / joinGame / rejoinGame / spectateGame / doAction /
+// sendChat / getPublicState / getKnowledge / getChat / onStateUpdate / onChat /
+// onConnectionChange / onError.
+
+// As many chat messages as the room keeps (CHAT_HISTORY_LIMIT in
+// src/game-logic.js)
+const CHAT_HISTORY_LIMIT = 200;
 
 function dbg(category, ...args) {
   const ts = new Date().toISOString().substr(11, 12);
@@ -19,13 +24,19 @@ class GameTransport {
     this.playerId = null;
     this.token = null;
     this.isHost = false;
+    this.spectating = false;   // watching without a seat (see spectateGame)
+    this.profile = null;       // { id, key } of this browser's player profile, sent with every hello
+    this.clockOffset = 0;      // server clock minus ours, for countdowns (see serverNow)
 
     this.ws = null;
     this.publicState = null;   // latest per-player filtered state from server
     this.knowledge = null;     // latest per-player knowledge from server
+    this.chat = [];            // the table chat so far, oldest first
+    this._chatKeys = new Set(); // `${channel}:${seq}` of each message in this.chat
 
     // Callbacks (set by the UI)
     this.onStateUpdate = null;
+    this.onChat = null;
     this.onConnectionChange = null;
     this.onError = null;
 
@@ -89,11 +100,13 @@ class GameTransport {
 
   // ============ Public API used by the UI ============
 
-  async createGame(hostName) {
+  // `options` (optional) pre-fill the lobby's game options, e.g. from a shared
+  // house-rule preset; the server validates them like a setOptions action.
+  async createGame(hostName, options = null) {
     const res = await fetch('/api/create', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name: hostName })
+      body: JSON.stringify(options ? { name: hostName, options } : { name: hostName })
     });
     const result = await res.json();
     if (result.error) throw new Error(result.error);
@@ -116,6 +129,16 @@ class GameTransport {
     return { gameCode: this.gameCode, playerId: this.playerId };
   }
 
+  // Watch a game without a seat. There is no identity to keep: reconnecting
+  // simply watches again.
+  async spectateGame(gameCode, name) {
+    this.gameCode = gameCode.toUpperCase();
+    this.playerName = name;
+    this.spectating = true;
+    await this._connect({ spectate: true, name });
+    return { gameCode: this.gameCode };
+  }
+
   async rejoinGame(gameCode, playerName) {
     const code = gameCode.toUpperCase();
     this.gameCode = code;
@@ -150,14 +173,28 @@ class GameTransport {
     this._send({ type: 'action', action, data });
   }
 
+  // `channel` 'evil' whispers to this player's evil allies (options.evilWhisper)
+  sendChat(text, channel = 'table') {
+    this._send({ type: 'chat', text, channel });
+  }
+
   getPublicState() {
     return this.publicState;
   }
 
+  getChat() {
+    return this.chat;
+  }
+
   getKnowledge() {
     return this.knowledge;
   }
 
+  // The server's current time, estimated from the last state message
+  serverNow() {
+    return Date.now() + this.clockOffset;
+  }
+
   destroy() {
     this._intentionalClose = true;
     if (this._heartbeatTimer) {
@@ -231,7 +268,8 @@ class GameTransport {
       ws.onopen = () => {
         if (this.ws !== ws) return;
         dbg('WS', 'Open, sending hello');
-        this._send({ type: 'hello', ...this._hello });
+        const profile = this.profile && !this._hello.spectate ? { profile: this.profile } : {};
+        this._send({ type: 'hello', ...this._hello, ...profile });
       };
 
       ws.onmessage = (event) => {
@@ -337,6 +375,7 @@ class GameTransport {
       case 'state':
         this.publicState = msg.state;
         this.knowledge = msg.knowledge;
+        if (msg.serverTime) this.clockOffset = msg.serverTime - Date.now();
         if (!this._gotFirstState) {
           this._gotFirstState = true;
           this._reconnectAttempt = 0;
@@ -347,6 +386,26 @@ class GameTransport {
         if (this.onStateUpdate) this.onStateUpdate(this.publicState);
         break;
 
+      case 'chat':
+        // The whole chat on (re)connecting, then each new message. A message
+        // we already have (by channel and seq) is not added twice, and only
+        // the newest CHAT_HISTORY_LIMIT are kept, as on the server.
+        if (msg.history) {
+          this.chat = [];
+          this._chatKeys.clear();
+        }
+        for (const message of msg.messages) {
+          const key = `${message.channel}:${message.seq}`;
+          if (this._chatKeys.has(key)) continue;
+          this._chatKeys.add(key);
+          this.chat.push(message);
+        }
+        for (const old of this.chat.splice(0, this.chat.length - CHAT_HISTORY_LIMIT)) {
+          this._chatKeys.delete(`${old.channel}:${old.seq}`);
+        }
+        if (this.onChat) this.onChat(this.chat, msg.history ? [] : msg.messages);
+        break;
+
       case 'error':
         if (!this._gotFirstState) {
           // Failure during initial connect → reject so the UI can react.
@@ -407,7 +466,7 @@ class GameTransport {
       // Include the name alongside the token: if our token was rotated (the seat
       // was reclaimed from another device), the server falls back to a name
       // reclaim instead of rejecting us forever with "Unknown player".
-      await this._connect({
+      await this._connect(this.spectating ? { spectate: true, name: this.playerName } : {
         name: this.playerName || undefined,
         playerId: this.playerId,
         token: this.token
@@ -430,7 +489,7 @@ class GameTransport {
 
   // Errors that no amount of retrying will fix.
   _isFatalError(msg) {
-    return /game not found|already started|game is full|unknown player|name already taken/i.test(msg || '');
+    return /game not found|already started|game is full|unknown player|name already taken|not open to spectators/i.test(msg || '');
   }
 
   // True once a connection is established and the first state has arrived.
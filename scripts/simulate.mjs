@@ -0,0 +1,278 @@
+// Headless balance simulator: plays complete games straight through
+// game-logic.js (no server) with scripted strategies, and reports how often
+// each side wins by player count, by the special roles dealt, and by rule
+// variant.
+//
+//   npm run simulate -- --games 500 --players 5-10 --roles all --format csv
+//
+// Options (each takes a value; lists are comma-separated):
+//   --games N          games per configuration (default 200)
+//   --players 5-10     player counts, as a range or a list (default 5-10)
+//   --quest-table ...  QUEST_TABLES keys to compare (default: all of them)
+//   --reject-limit ... 'evilWins', 'hammer' (default: both)
+//   --roles standard   the standard setup only, or 'all' for every choice of
+//                      optional roles that fits each table size
+//   --ephod off        'off', 'on' or 'both'
+//   --strategy bots    'bots' (src/bots.js, every seat) or 'naive' (random
+//                      teams, everyone approves, evil always fails)
+//   --seed S           reproduce a run exactly (default: a fresh one, reported
+//                      in the output)
+//   --format json      'json' or 'csv'
+//
+// Every configuration in the grid is played --games times. A game's seed is
+// derived from --seed, so the same command with the same seed gives the same
+// numbers.
+import {
+  GAME_PHASES,
+  OPTIONAL_ROLES,
+  QUEST_TABLES,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  createRng,
+  shuffleArray,
+  isEvil,
+  hasAbility,
+  resolveRoleSetup,
+  getPlayerKnowledge,
+  createGame,
+  GameActions
+} from '../src/game-logic.js';
+import { chooseMove } from '../src/bots.js';
+
+// Far more moves than any game takes; a game that runs past this is stuck
+const MAX_MOVES = 5000;
+
+// ---- Strategies ----
+// Each returns the move a seat makes now, as a GameActions call, or null.
+// Result screens are set to continueMode 'acknowledge', so no seat needs to be
+// the host to move the game on.
+
+// Random teams, every team approved, evil always plays Fail, Saul strikes at
+// random among the players he doesn't know to be evil: a baseline with no
+// reasoning on either side
+function naiveMove(game, playerId, rng) {
+  const me = game.players.find(p => p.id === playerId);
+  if (game.resultDeadline !== null && !game.acknowledged.includes(playerId)) {
+    return { action: 'acknowledge', args: [] };
+  }
+  switch (game.phase) {
+    case GAME_PHASES.TEAM_SELECTION: {
+      if (game.players[game.leaderIndex].id !== playerId) return null;
+      const size = game.questSizes[game.currentQuest];
+      const others = shuffleArray(game.players.filter(p => p.id !== playerId), rng).map(p => p.id);
+      const team = game.options.leaderOnTeam ? [playerId, ...others.slice(0, size - 1)] : shuffleArray([playerId, ...others], rng).slice(0, size);
+      return { action: 'propose', args: [team] };
+    }
+    case GAME_PHASES.TEAM_VOTE:
+      return playerId in game.votes ? null : { action: 'vote', args: [true] };
+    case GAME_PHASES.QUEST:
+      return game.proposedTeam.includes(playerId) && !(playerId in game.questVotes)
+        ? { action: 'questVote', args: [!isEvil(me.role)] }
+        : null;
+    case GAME_PHASES.INVESTIGATION: {
+      if (game.ephod.holderId !== playerId) return null;
+      const eligible = game.players.filter(p => !game.ephod.pastHolderIds.includes(p.id));
+      return { action: 'investigate', args: [eligible[Math.floor(rng() * eligible.length)].id] };
+    }
+    case GAME_PHASES.ASSASSINATION: {
+      if (!hasAbility(me.role, 'assassinate')) return null;
+      const known = new Set(getPlayerKnowledge(game, playerId).sees.map(s => s.id));
+      const targets = game.players.filter(p => p.id !== playerId && !known.has(p.id));
+      return { action: 'assassinate', args: [targets[Math.floor(rng() * targets.length)].id] };
+    }
+    default:
+      return null;
+  }
+}
+
+const STRATEGIES = {
+  bots: chooseMove,
+  naive: naiveMove
+};
+
+// ---- The grid ----
+
+function fail(message) {
+  console.error(`simulate: ${message}`);
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) fail(`unexpected argument ${argv[i]}`);
+    args[match[1]] = match[2] ?? argv[++i];
+    if (args[match[1]] === undefined) fail(`--${match[1]} needs a value`);
+  }
+  return args;
+}
+
+function listOf(value, allowed, name) {
+  const items = value.split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = items.find(item => !allowed.includes(item));
+  if (unknown !== undefined || items.length === 0) fail(`--${name} must be from ${allowed.join(', ')}`);
+  return [...new Set(items)];
+}
+
+function playerCounts(value) {
+  const range = /^(\d+)-(\d+)$/.exec(value);
+  const counts = range
+    ? Array.from({ length: Math.max(0, range[2] - range[1] + 1) }, (_, i) => Number(range[1]) + i)
+    : value.split(',').map(Number);
+  if (counts.length === 0 || counts.some(n => !Number.isInteger(n) || n < MIN_PLAYERS || n > MAX_PLAYERS)) {
+    fail(`--players must be between ${MIN_PLAYERS} and ${MAX_PLAYERS}`);
+  }
+  return [...new Set(counts)];
+}
+
+// Every choice of optional roles (the lobby's `roles` option) that can be
+// dealt at this table size
+function roleChoices(playerCount, mode) {
+  if (mode === 'standard') return [null];
+  const choices = [];
+  for (let mask = 0; mask < 2 ** OPTIONAL_ROLES.length; mask++) {
+    const roles = OPTIONAL_ROLES.filter((_, i) => mask & (1 << i));
+    if (!resolveRoleSetup(playerCount, roles).error) choices.push(roles);
+  }
+  return choices;
+}
+
+function configurations(args) {
+  const counts = playerCounts(args.players ?? `${MIN_PLAYERS}-10`);
+  const tables = listOf(args['quest-table'] ?? Object.keys(QUEST_TABLES).join(), Object.keys(QUEST_TABLES), 'quest-table');
+  const rejectLimits = listOf(args['reject-limit'] ?? 'evilWins,hammer', ['evilWins', 'hammer'], 'reject-limit');
+  const [roleMode] = listOf(args.roles ?? 'standard', ['standard', 'all'], 'roles');
+  const [ephod] = listOf(args.ephod ?? 'off', ['off', 'on', 'both'], 'ephod');
+  const ephods = { off: [false], on: [true], both: [false, true] }[ephod];
+
+  const configs = [];
+  for (const players of counts) {
+    for (const roles of roleChoices(players, roleMode)) {
+      for (const questTable of tables) {
+        for (const rejectLimit of rejectLimits) {
+          for (const withEphod of ephods) {
+            const { good, evil } = resolveRoleSetup(players, roles);
+            configs.push({
+              players,
+              specialRoles: [...good, ...evil].join('+'),
+              questTable,
+              rejectLimit,
+              ephod: withEphod,
+              options: { roles, questTable, rejectLimit, ephod: withEphod, continueMode: 'acknowledge' }
+            });
+          }
+        }
+      }
+    }
+  }
+  return configs;
+}
+
+// ---- Playing ----
+
+function playGame(config, strategy, seed) {
+  const game = createGame('Seat 1', { seed });
+  for (let seat = 2; seat <= config.players; seat++) GameActions.join(game, `Seat ${seat}`);
+  const hostId = game.players[0].id;
+  GameActions.setOptions(game, hostId, config.options);
+  GameActions.start(game, hostId);
+
+  const rng = createRng(`${seed}/moves`);
+  let moves = 0;
+  while (game.phase !== GAME_PHASES.GAME_OVER) {
+    let moved = false;
+    for (const player of game.players) {
+      const move = strategy(game, player.id, rng);
+      if (!move) continue;
+      GameActions[move.action](game, player.id, ...move.args);
+      moved = true;
+      if (++moves > MAX_MOVES || game.phase === GAME_PHASES.GAME_OVER) break;
+    }
+    if (!moved || moves > MAX_MOVES) throw new Error(`Game ${seed} got stuck in ${game.phase}`);
+  }
+  return game;
+}
+
+// How a game can end, as the report labels it
+const OUTCOMES = ['threeQuestsFailed', 'fiveRejections', 'samuelAssassinated', 'samuelSurvived'];
+
+function outcome(game) {
+  const strike = game.history.find(e => e.type === 'assassination');
+  if (strike) return strike.success ? 'samuelAssassinated' : 'samuelSurvived';
+  if (game.questResults.filter(r => !r.success).length === 3) return 'threeQuestsFailed';
+  return 'fiveRejections';
+}
+
+function emptyTally() {
+  return { games: 0, goodWins: 0, evilWins: 0, ...Object.fromEntries(OUTCOMES.map(o => [o, 0])) };
+}
+
+function count(tally, winner, how) {
+  tally.games++;
+  tally[winner === 'good' ? 'goodWins' : 'evilWins']++;
+  tally[how]++;
+}
+
+// The breakdowns reported besides the overall and per-configuration tallies
+const GROUPS = ['players', 'specialRoles', 'questTable', 'rejectLimit', 'ephod'];
+
+function simulate(configs, { games, strategy, seed }) {
+  const overall = emptyTally();
+  const groups = Object.fromEntries(GROUPS.map(key => [key, new Map()]));
+  const configTallies = configs.map((config, c) => {
+    const tally = emptyTally();
+    for (let i = 0; i < games; i++) {
+      const game = playGame(config, strategy, `${seed}:${c}:${i}`);
+      const how = outcome(game);
+      count(tally, game.winner, how);
+      count(overall, game.winner, how);
+      for (const key of GROUPS) {
+        if (!groups[key].has(config[key])) groups[key].set(config[key], emptyTally());
+        count(groups[key].get(config[key]), game.winner, how);
+      }
+    }
+    return tally;
+  });
+  return {
+    overall: withRate(overall),
+    ...Object.fromEntries(GROUPS.map(key => [key, [...groups[key]].map(([value, tally]) => ({ [key]: value, ...withRate(tally) }))])),
+    configs: configs.map(({ options, ...config }, c) => ({ ...config, ...withRate(configTallies[c]) }))
+  };
+}
+
+function withRate(tally) {
+  return { ...tally, goodWinRate: Number((tally.goodWins / tally.games).toFixed(4)) };
+}
+
+// ---- Output ----
+
+// One row per tally: the breakdown it belongs to, the value it is for, and the
+// numbers. Configurations are described in the value column.
+function toCsv(report) {
+  const columns = ['games', 'goodWins', 'evilWins', 'goodWinRate', ...OUTCOMES];
+  const describe = (c) => `${c.players}p ${c.specialRoles} ${c.questTable} ${c.rejectLimit}${c.ephod ? ' ephod' : ''}`;
+  const rows = [
+    ['overall', 'all', report.overall],
+    ...GROUPS.flatMap(key => report[key].map(row => [key, row[key], row])),
+    ...report.configs.map(row => ['config', describe(row), row])
+  ];
+  const cell = (value) => (/[",\s]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value);
+  return [['group', 'value', ...columns], ...rows.map(([group, value, tally]) => [group, value, ...columns.map(c => tally[c])])]
+    .map(cells => cells.map(cell).join(','))
+    .join('\n');
+}
+
+const args = parseArgs(process.argv.slice(2));
+const games = Number(args.games ?? 200);
+if (!Number.isInteger(games) || games < 1) fail('--games must be a positive whole number');
+const [strategyName] = listOf(args.strategy ?? 'bots', Object.keys(STRATEGIES), 'strategy');
+const [format] = listOf(args.format ?? 'json', ['json', 'csv'], 'format');
+const seed = args.seed ?? `sim-${Date.now()}`;
+if (seed.length > 40) fail('--seed must be at most 40 characters');
+
+const configs = configurations(args);
+const report = simulate(configs, { games, strategy: STRATEGIES[strategyName], seed });
+console.log(format === 'csv'
+  ? toCsv(report)
+  : JSON.stringify({ seed, strategy: strategyName, gamesPerConfig: games, ...report }, null, 2));
@@ -0,0 +1,214 @@
+// Bot players for Mighty Men of David.
+//
+// A bot is an ordinary seat in game.players (flagged `bot`) that the host adds
+// from the lobby. It sees exactly what a person in its seat would — the public
+// state and its own getPlayerKnowledge() — and plays through the same
+// GameActions, so the rules treat it like anyone else. GameRoom calls
+// playBots() after every change; the bots then take whatever turns are theirs.
+//
+// The strategies are simple heuristics, not perfect play:
+//   - Suspicion comes from the public history: being on a failed quest counts
+//     against a player, being on a successful one for them. A good bot knows
+//     the Fails on its own quests were someone else's.
+//   - Good bots propose and approve the least suspicious teams. A team with a
+//     player they know to be evil they turn down, except now and then a lone
+//     one with a clean record — cover for Samuel, whom rejecting exactly those
+//     teams would give away. At the last proposal before evil wins on
+//     rejections they approve anyway.
+//   - Evil bots want an evil player on every team, approve those and reject
+//     the rest, and play Fail on quests some of the time — always when it
+//     would win the game for evil.
+//   - Saul strikes whoever voted and proposed most like Samuel would, who
+//     knows the evil players: rejecting teams with evil on them, approving and
+//     proposing clean ones.
+
+import {
+  GAME_PHASES,
+  REJECT_LIMIT,
+  createRng,
+  shuffleArray,
+  getPlayerKnowledge,
+  getPublicGameState,
+  GameActions
+} from './game-logic.js';
+
+// Far more moves than a game can take at once; stops a runaway loop
+const MAX_BOT_MOVES = 500;
+
+// How often a good bot who sees evil approves a team with one (see chooseVote)
+const COVER_CHANCE = 0.5;
+
+// Seeded games get reproducible bots; any other game plays them at random
+function botRng(game) {
+  if (game.rngState === null || game.rngState === undefined) return Math.random;
+  return createRng((game.rngState ^ game.events.length) >>> 0);
+}
+
+// Who this bot knows to be evil or good: its role's knowledge plus anything
+// the Ephod has shown it
+function beliefs(knowledge) {
+  const evil = new Set();
+  const good = new Set();
+  for (const seen of knowledge.sees) {
+    if (seen.label === 'Evil' || seen.label === 'Evil Ally') evil.add(seen.id);
+  }
+  for (const result of knowledge.ephodResults) {
+    (result.label === 'Evil' ? evil : good).add(result.id);
+  }
+  return { evil, good };
+}
+
+// How suspect each player looks from the quests so far (higher = more likely
+// evil). A good bot knows it didn't fail a quest itself, so the Fails on a
+// team it was on fall on the others.
+function suspicion(view, knowledge) {
+  const scores = Object.fromEntries(view.players.map(p => [p.id, 0]));
+  for (const event of view.history) {
+    if (event.type !== 'quest') continue;
+    const cleared = !knowledge.isEvil && event.team.includes(view.myId);
+    const suspects = cleared ? event.team.filter(id => id !== view.myId) : event.team;
+    for (const id of suspects) {
+      scores[id] = (scores[id] ?? 0) + (event.success ? -0.5 : event.failCount / suspects.length + 1);
+    }
+  }
+  return scores;
+}
+
+// Ranked most to least trusted by this bot, ties broken at random
+function rankByTrust(view, knowledge, rng) {
+  const { evil, good } = beliefs(knowledge);
+  const scores = suspicion(view, knowledge);
+  const score = (id) => scores[id] + (evil.has(id) ? 100 : 0) - (good.has(id) ? 100 : 0);
+  return shuffleArray(view.players.map(p => p.id), rng).sort((a, b) => score(a) - score(b));
+}
+
+function chooseTeam(view, knowledge, rng) {
+  const size = view.questSizes[view.currentQuest];
+  // Themselves plus whoever they trust most. For evil that leaves their allies
+  // off: one Fail is enough, and allies on the team would only draw suspicion.
+  const others = rankByTrust(view, knowledge, rng).filter(id => id !== view.myId);
+  return [view.myId, ...others.slice(0, size - 1)];
+}
+
+function chooseVote(view, knowledge, rng) {
+  const team = view.proposedTeam;
+  const { evil } = beliefs(knowledge);
+  const lastChance = view.options.rejectLimit === 'evilWins' && view.rejectCount === REJECT_LIMIT - 1;
+  if (knowledge.isEvil) {
+    if (lastChance) return false;
+    return team.includes(view.myId) || team.some(id => evil.has(id));
+  }
+  if (lastChance) return true;
+  const scores = suspicion(view, knowledge);
+  const known = team.filter(id => evil.has(id));
+  if (known.length > 0) {
+    // Turning down every team with evil on it is just what Saul looks for, so
+    // whoever sees evil lets a lone evil player with a clean record through
+    // some of the time — unless a failed quest would lose the game
+    const fails = view.questResults.filter(r => !r.success).length;
+    return known.length === 1 && scores[known[0]] <= 0 && fails < 2 && rng() < COVER_CHANCE;
+  }
+  const teamSuspicion = team.reduce((sum, id) => sum + Math.max(scores[id], 0), 0);
+  if (team.includes(view.myId)) return teamSuspicion < 1;
+  return teamSuspicion === 0 ? rng() < 0.85 : teamSuspicion < 1;
+}
+
+// Evil sometimes plays Success to stay hidden, more so early on and with an
+// ally on the team; a card that would win the game for evil is always Fail,
+// and a lone Fail on a quest that needs two is never worth giving away
+function chooseQuestCard(view, knowledge, rng) {
+  if (!knowledge.isEvil) return true;
+  const fails = view.questResults.filter(r => !r.success).length;
+  if (fails === 2) return false;
+  const failsNeeded = view.questFailRequirements[view.currentQuest];
+  const allies = view.proposedTeam.filter(id => id !== view.myId && beliefs(knowledge).evil.has(id)).length;
+  if (failsNeeded > 1) return allies === 0;
+  const chance = (view.currentQuest === 0 ? 0.5 : 0.75) / (allies + 1);
+  return !(rng() < chance);
+}
+
+// The Ephod goes to the most suspect player it may still be used on
+function chooseInvestigation(view, knowledge, rng) {
+  const eligible = rankByTrust(view, knowledge, rng)
+    .filter(id => id !== view.myId && !view.ephod.pastHolderIds.includes(id));
+  if (knowledge.isEvil) return eligible[0]; // someone who looks good, to "clear" them
+  return eligible[eligible.length - 1];
+}
+
+// Saul's strike: whoever voted and proposed most like Samuel, who can see (most
+// of) evil
+function chooseAssassinationTarget(view, knowledge, rng) {
+  const { evil } = beliefs(knowledge);
+  evil.add(view.myId);
+  const candidates = shuffleArray(view.players.map(p => p.id).filter(id => !evil.has(id)), rng);
+  const score = Object.fromEntries(candidates.map(id => [id, 0]));
+  const proposals = [];
+  for (const event of view.history) {
+    if (event.type === 'proposal') proposals.push(event);
+    if (event.type === 'proposal' && event.leaderId in score && !event.team.some(id => evil.has(id))) {
+      score[event.leaderId] += 1;
+    }
+    if (event.type === 'vote' && event.votes) {
+      const proposal = proposals[proposals.length - 1];
+      const dirty = proposal.team.some(id => evil.has(id));
+      for (const [id, approve] of Object.entries(event.votes)) {
+        if (!(id in score)) continue;
+        if (dirty && !approve) score[id] += 1;
+        if (!dirty && approve) score[id] += 0.5;
+        if (dirty && approve) score[id] -= 1;
+      }
+    }
+  }
+  return candidates.reduce((best, id) => (score[id] > score[best] ? id : best), candidates[0]);
+}
+
+// The move this bot would make now, as a GameActions call, or null if nothing
+// is its to do
+function chooseMove(game, botId, rng) {
+  const view = getPublicGameState(game, botId);
+  const knowledge = getPlayerKnowledge(game, botId);
+  if (view.paused) return null;
+  if (view.pendingUndo && view.pendingUndo.playerId === botId) {
+    return { action: 'respondUndo', args: [true] };
+  }
+  if (view.resultDeadline !== null && view.acknowledged && !view.acknowledged.includes(botId)) {
+    return { action: 'acknowledge', args: [] };
+  }
+  switch (view.phase) {
+    case GAME_PHASES.TEAM_SELECTION:
+      return view.isLeader ? { action: 'propose', args: [chooseTeam(view, knowledge, rng)] } : null;
+    case GAME_PHASES.TEAM_VOTE:
+      return view.hasVoted ? null : { action: 'vote', args: [chooseVote(view, knowledge, rng)] };
+    case GAME_PHASES.QUEST:
+      return view.isOnTeam && !view.hasQuestVoted
+        ? { action: 'questVote', args: [chooseQuestCard(view, knowledge, rng)] }
+        : null;
+    case GAME_PHASES.INVESTIGATION:
+      return view.isEphodHolder ? { action: 'investigate', args: [chooseInvestigation(view, knowledge, rng)] } : null;
+    case GAME_PHASES.ASSASSINATION:
+      return view.isAssassin ? { action: 'assassinate', args: [chooseAssassinationTarget(view, knowledge, rng)] } : null;
+    default:
+      return null;
+  }
+}
+
+// Let every bot take the turns that are theirs, until none has anything left
+// to do (a bot's move can hand the next turn to another bot). Returns how many
+// moves were made, so GameRoom knows whether there is anything to save.
+function playBots(game, rng = botRng(game)) {
+  let moves = 0;
+  let moved = true;
+  while (moved && moves < MAX_BOT_MOVES) {
+    moved = false;
+    for (const bot of game.players.filter(p => p.bot)) {
+      const move = chooseMove(game, bot.id, rng);
+      if (!move) continue;
+      GameActions[move.action](game, bot.id, ...move.args);
+      moves++;
+      moved = true;
+    }
+  }
+  return moves;
+}
+
+export { chooseMove, playBots };
@@ -9,46 +9,339 @@ const GAME_PHASES = {
   VOTE_RESULT: 'vote_result',
   QUEST: 'quest',
   QUEST_RESULT: 'quest_result',
+  INVESTIGATION: 'investigation',
   ASSASSINATION: 'assassination',
   GAME_OVER: 'game_over'
 };
 
-const ROLES = {
-  SAMUEL: 'samuel',      // Merlin - knows evil except Saul
-  DAVID: 'david',        // Percival - knows Samuel but sees Phinehas too
-  MIGHTY_MAN: 'mighty_man', // Loyal servant
-  SAUL: 'saul',          // Mordred+Assassin - hidden from Samuel, can assassinate
-  PHINEHAS: 'phinehas',  // Morgana - appears to David
-  DOEG: 'doeg',          // Oberon - doesn't know evil, evil doesn't know him
-  SHEEP: 'sheep'         // Generic evil minion
-};
+// ============ Role Registry ============
+// Every character is data: its alignment, who it sees, how it appears to
+// others and what it can do. Role assignment, knowledge, alignment checks and
+// the client's role names/end-game reveal are all driven by this registry, so a
+// new character is added with one registerRole() call.
+//
+// Selectors pick roles by id and/or alignment: { roles: [...], alignment }.
+//   kind       'required' (always dealt) | 'optional' (host may toggle) |
+//              'filler' (fills its side's remaining seats)
+//   standard   for optional roles, whether the standard setup deals it:
+//              'always' or 'ifRoom' (only while its side has a free seat)
+//   knows      [{ ...selector, label }] — other players this role sees, as what
+//   hiddenFrom [selector] — viewers that never see this role, whatever they know
+//   appearsTo  [{ ...selector, label }] — viewers shown this role with its own label
+//   abilities  e.g. { assassinate: { targets: selector } }
+
+const ROLES = {};             // SAMUEL: 'samuel', ... (filled by registerRole)
+const ROLE_REGISTRY = {};     // id -> definition, in registration (= dealing) order
+const GOOD_ROLES = [];
+const EVIL_ROLES = [];
+const OPTIONAL_ROLES = [];    // the roles the host may switch on or off
+
+function registerRole(def) {
+  if (!def.id || ROLE_REGISTRY[def.id]) throw new Error(`Bad or duplicate role: ${def.id}`);
+  if (def.alignment !== 'good' && def.alignment !== 'evil') throw new Error(`Role ${def.id} needs an alignment`);
+  const role = {
+    kind: 'optional',
+    standard: false,
+    knows: [],
+    hiddenFrom: [],
+    appearsTo: [],
+    abilities: {},
+    ...def
+  };
+  ROLE_REGISTRY[role.id] = role;
+  ROLES[role.id.toUpperCase()] = role.id;
+  (role.alignment === 'evil' ? EVIL_ROLES : GOOD_ROLES).push(role.id);
+  if (role.kind === 'optional') OPTIONAL_ROLES.push(role.id);
+  return role;
+}
+
+registerRole({
+  id: 'samuel',  // Merlin
+  name: 'Samuel',
+  alignment: 'good',
+  kind: 'required',
+  description: 'You know the servants of evil (except Saul)',
+  summary: 'Knows the servants of evil, except Saul',
+  knows: [{ alignment: 'evil', label: 'Evil' }],
+  appearsTo: [{ roles: ['david'], label: 'Samuel or Phinehas' }]
+});
+
+registerRole({
+  id: 'david',  // Percival
+  name: 'David',
+  alignment: 'good',
+  standard: 'always',
+  description: 'You see Samuel and Phinehas but cannot tell them apart',
+  summary: 'Sees Samuel and Phinehas, but not which is which'
+});
+
+registerRole({
+  id: 'mighty_man',  // Loyal servant
+  name: 'Mighty Man',
+  alignment: 'good',
+  kind: 'filler',
+  description: 'You are loyal but have no special knowledge',
+  summary: 'Loyal, with no special knowledge'
+});
+
+registerRole({
+  id: 'saul',  // Mordred + Assassin
+  name: 'Saul',
+  alignment: 'evil',
+  kind: 'required',
+  description: 'Leader of evil. Hidden from Samuel. You can assassinate Samuel at the end.',
+  summary: 'Leads evil, hidden from Samuel; may assassinate Samuel at the end',
+  knows: [{ alignment: 'evil', label: 'Evil Ally' }],
+  hiddenFrom: [{ roles: ['samuel'] }],
+  abilities: { assassinate: { targets: { roles: ['samuel'] } } }
+});
+
+registerRole({
+  id: 'phinehas',  // Morgana
+  name: 'Phinehas',
+  alignment: 'evil',
+  standard: 'always',
+  description: 'You appear to David as possibly Samuel',
+  summary: 'Evil; appears to David as possibly Samuel',
+  knows: [{ alignment: 'evil', label: 'Evil Ally' }],
+  appearsTo: [{ roles: ['david'], label: 'Samuel or Phinehas' }]
+});
 
-const GOOD_ROLES = [ROLES.SAMUEL, ROLES.DAVID, ROLES.MIGHTY_MAN];
-const EVIL_ROLES = [ROLES.SAUL, ROLES.PHINEHAS, ROLES.DOEG, ROLES.SHEEP];
+registerRole({
+  id: 'doeg',  // Oberon
+  name: 'Doeg',
+  alignment: 'evil',
+  standard: 'ifRoom',
+  description: 'You are evil but work alone - you don\'t know your allies',
+  summary: 'Evil, but works alone — standard setup adds him at 3+ evil',
+  hiddenFrom: [{ alignment: 'evil' }]
+});
+
+registerRole({
+  id: 'sheep',  // Generic evil minion
+  name: 'Sheep of Saul',
+  alignment: 'evil',
+  kind: 'filler',
+  description: 'You know your evil allies (except Doeg)',
+  summary: 'Knows the other servants of evil (except Doeg)',
+  knows: [{ alignment: 'evil', label: 'Evil Ally' }]
+});
+
+function matchesSelector(selector, roleId) {
+  const role = ROLE_REGISTRY[roleId];
+  if (!role) return false;
+  if (selector.roles && !selector.roles.includes(roleId)) return false;
+  if (selector.alignment && selector.alignment !== role.alignment) return false;
+  return true;
+}
+
+// How a player holding `targetRole` appears to one holding `viewerRole`: the
+// label they see, or null if they don't see them at all.
+function appearanceTo(viewerRole, targetRole) {
+  const target = ROLE_REGISTRY[targetRole];
+  const viewer = ROLE_REGISTRY[viewerRole];
+  if (!target || !viewer) return null;
+  if (target.hiddenFrom.some(sel => matchesSelector(sel, viewerRole))) return null;
+  const shown = target.appearsTo.find(rule => matchesSelector(rule, viewerRole));
+  if (shown) return shown.label;
+  const known = viewer.knows.find(rule => matchesSelector(rule, targetRole));
+  return known ? known.label : null;
+}
+
+function hasAbility(roleId, ability) {
+  return !!(ROLE_REGISTRY[roleId] && ROLE_REGISTRY[roleId].abilities[ability]);
+}
+
+// The client-facing slice of the registry (names, blurbs, sides) — the single
+// source of truth for the UI's role names and end-game reveal.
+function getRoleCatalog() {
+  const catalog = {};
+  for (const role of Object.values(ROLE_REGISTRY)) {
+    catalog[role.id] = {
+      name: role.name,
+      alignment: role.alignment,
+      kind: role.kind,
+      description: role.description,
+      summary: role.summary
+    };
+  }
+  return catalog;
+}
 
-// Quest sizes: always 3, 4, 5, 6, 6
+// House-rule quest sizes: always 3, 4, 5, 6, 6
 const QUEST_SIZES = [3, 4, 5, 6, 6];
-// Quest 4 (index 3) requires 2 fails
+// House rule: quest 4 (index 3) requires 2 fails at every table size
 const QUEST_FAIL_REQUIREMENTS = [1, 1, 1, 2, 1];
 
-// Player counts: good/evil ratio (standard Avalon)
+// Quest tables: the team size and number of Fail votes needed for each of the
+// five quests, by player count. A row applies from its player count up to the
+// next row. The lobby option `questTable` picks one (see questRulesFor).
+const QUEST_TABLES = {
+  // Standard Avalon: teams grow with the table, and quest 4 needs two Fails
+  // only at 7+ players. Beyond the box (13+) the teams grow by one more.
+  standard: {
+    5: { sizes: [2, 3, 2, 3, 3], failsRequired: [1, 1, 1, 1, 1] },
+    6: { sizes: [2, 3, 4, 3, 4], failsRequired: [1, 1, 1, 1, 1] },
+    7: { sizes: [2, 3, 3, 4, 4], failsRequired: [1, 1, 1, 2, 1] },
+    8: { sizes: [3, 4, 4, 5, 5], failsRequired: [1, 1, 1, 2, 1] },
+    13: { sizes: [4, 5, 5, 6, 6], failsRequired: [1, 1, 1, 2, 1] }
+  },
+  // Our original house rules: 3-4-5-6-6 at every size.
+  house: {
+    5: { sizes: QUEST_SIZES, failsRequired: QUEST_FAIL_REQUIREMENTS }
+  }
+};
+
+// The Ephod (our Lady of the Lake) is consulted after these quests — i.e. once
+// questResults.length reaches one of them and the game carries on.
+const EPHOD_AFTER_QUESTS = [2, 3, 4];
+
+// Consecutive rejected proposals that end a round (see the rejectLimit option)
+const REJECT_LIMIT = 5;
+
+// Lobby-configurable options (rule variants included). setOptions() only
+// accepts keys listed here; GameActions read game.options to apply them.
+const DEFAULT_OPTIONS = {
+  ephod: false,             // Ephod investigation token (see GameActions.investigate)
+  roles: null,              // null = standard setup, else the OPTIONAL_ROLES to deal (see resolveRoleSetup)
+  questTable: 'standard',   // key of QUEST_TABLES
+  rejectLimit: 'evilWins',  // after REJECT_LIMIT rejections in a row evil wins; 'hammer' = the last proposal skips the vote
+  voteReveal: 'open',       // after a team vote show who voted what ('open') or only the tally ('counts')
+  leaderOnTeam: false,      // the leader must put themselves on every team they propose
+  continueMode: 'host',     // result screens wait for the host's Continue, or for everyone's 'acknowledge'
+  ackSeconds: 30,           // with 'acknowledge', result screens move on by themselves after this long
+  turnSeconds: 0,           // time limit on each TIMED_PHASES turn; 0 = no limit (see GameActions.timeOut)
+  proposalTimeout: 'random',  // when the leader runs out of time: propose a random team, or 'pass' the lead on (a rejection)
+  assassinationTimeout: 'goodWins',  // when Saul runs out of time: Samuel survives ('goodWins'), or a 'random' good player is struck
+  voteTimeout: 'reject',    // a vote not cast in time counts as 'reject' or 'approve'
+  allowSpectators: true,    // people may watch the game without a seat (see GameActions.spectate)
+  chat: true,               // players may talk in the table chat (see createChatMessage)
+  evilWhisper: false        // evil players who know each other get a private channel (see createWhisper)
+};
+
+// Names for bot players (see GameActions.addBot and bots.js), one per seat
+const BOT_NAMES = [
+  'Abner', 'Joab', 'Abishai', 'Asahel', 'Benaiah', 'Eleazar', 'Shammah', 'Uriah',
+  'Ittai', 'Hushai', 'Zadok', 'Nathan', 'Amasa', 'Ira', 'Elhanan', 'Jashobeam'
+];
+
+// Table chat: the longest message, how many messages a player may send within
+// the window, and how many the room keeps
+const CHAT_MAX_LENGTH = 300;
+const CHAT_RATE_LIMIT = { messages: 5, windowMs: 10000 };
+const CHAT_HISTORY_LIMIT = 200;
+
+// Trust markers (see GameActions.mark): what a player can pin on another, and
+// how many times each player may change their markers per quest
+const MARKERS = ['trusted', 'suspected'];
+const MARKER_CHANGES_PER_QUEST = 30;
+
+// Countdowns the host can pick for acknowledge-to-continue
+const ACK_SECONDS_CHOICES = [15, 30, 60];
+
+// Turn timers: the phases that can run out of time, and the limits on offer
+const TIMED_PHASES = [
+  GAME_PHASES.TEAM_SELECTION, GAME_PHASES.TEAM_VOTE, GAME_PHASES.QUEST, GAME_PHASES.INVESTIGATION, GAME_PHASES.ASSASSINATION
+];
+const TURN_SECONDS_CHOICES = [0, 60, 120, 300];
+
+// One normalizer per option: returns the value to store, or undefined if the
+// value is not acceptable.
+const OPTION_NORMALIZERS = {
+  ephod: (value) => (typeof value === 'boolean' ? value : undefined),
+  roles: (value) => {
+    if (value === null) return null;
+    if (!Array.isArray(value) || !value.every(r => OPTIONAL_ROLES.includes(r))) return undefined;
+    return OPTIONAL_ROLES.filter(r => value.includes(r)); // dedupe, canonical order
+  },
+  questTable: (value) => (Object.hasOwn(QUEST_TABLES, value) ? value : undefined),
+  rejectLimit: (value) => (['evilWins', 'hammer'].includes(value) ? value : undefined),
+  voteReveal: (value) => (['open', 'counts'].includes(value) ? value : undefined),
+  leaderOnTeam: (value) => (typeof value === 'boolean' ? value : undefined),
+  continueMode: (value) => (['host', 'acknowledge'].includes(value) ? value : undefined),
+  ackSeconds: (value) => (ACK_SECONDS_CHOICES.includes(value) ? value : undefined),
+  turnSeconds: (value) => (TURN_SECONDS_CHOICES.includes(value) ? value : undefined),
+  proposalTimeout: (value) => (['random', 'pass'].includes(value) ? value : undefined),
+  assassinationTimeout: (value) => (['goodWins', 'random'].includes(value) ? value : undefined),
+  voteTimeout: (value) => (['reject', 'approve'].includes(value) ? value : undefined),
+  allowSpectators: (value) => (typeof value === 'boolean' ? value : undefined),
+  chat: (value) => (typeof value === 'boolean' ? value : undefined),
+  evilWhisper: (value) => (typeof value === 'boolean' ? value : undefined)
+};
+
+// Player counts: good/evil ratio (standard Avalon for 5-10; larger tables
+// keep evil at roughly a third)
 const TEAM_COMPOSITION = {
+  5: { good: 3, evil: 2 },
   6: { good: 4, evil: 2 },
   7: { good: 4, evil: 3 },
   8: { good: 5, evil: 3 },
   9: { good: 6, evil: 3 },
   10: { good: 6, evil: 4 },
   11: { good: 7, evil: 4 },
-  12: { good: 8, evil: 4 }
+  12: { good: 8, evil: 4 },
+  13: { good: 8, evil: 5 },
+  14: { good: 9, evil: 5 },
+  15: { good: 10, evil: 5 },
+  16: { good: 10, evil: 6 }
 };
 
+// Supported table sizes, from TEAM_COMPOSITION
+const MIN_PLAYERS = Math.min(...Object.keys(TEAM_COMPOSITION).map(Number));
+const MAX_PLAYERS = Math.max(...Object.keys(TEAM_COMPOSITION).map(Number));
+
 // ============ Utility Functions ============
 
-function generateCode(length = 6) {
+// ---- Seedable randomness ----
+// Everything that deals, shuffles or picks takes an `rng` (a Math.random-style
+// function returning [0, 1)) and defaults to Math.random. A seeded game keeps
+// its generator state on the game itself (game.rngState), so the deal survives
+// being persisted and reloaded mid-stream. Generator: mulberry32.
+
+function mulberry32(state) {
+  let t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// A seed is a non-negative integer or a short string (hashed with FNV-1a), so
+// bug reports can use something readable like "issue-42".
+function normalizeSeed(seed) {
+  if (Number.isSafeInteger(seed) && seed >= 0) return seed >>> 0;
+  if (typeof seed === 'string' && seed.length > 0 && seed.length <= 64) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash = Math.imul(hash ^ seed.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+  }
+  throw new Error('Invalid seed');
+}
+
+function createRng(seed) {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    return mulberry32(state);
+  };
+}
+
+// The game's own generator: seeded games advance game.rngState, others use
+// Math.random.
+function gameRng(game) {
+  if (game.rngState === null || game.rngState === undefined) return Math.random;
+  return () => {
+    game.rngState = (game.rngState + 0x6D2B79F5) >>> 0;
+    return mulberry32(game.rngState);
+  };
+}
+
+function generateCode(length = 6, rng = Math.random) {
   const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
   let result = '';
   for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+    result += chars.charAt(Math.floor(rng() * chars.length));
   }
   return result;
 }
@@ -76,51 +369,89 @@ function normalizeName(name) {
     .slice(0, 20);
 }
 
-function shuffleArray(array) {
+function shuffleArray(array, rng = Math.random) {
   const arr = [...array];
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
 }
 
 function isEvil(role) {
-  return EVIL_ROLES.includes(role);
+  return !!ROLE_REGISTRY[role] && ROLE_REGISTRY[role].alignment === 'evil';
 }
 
 // ============ Role Assignment ============
 
-function assignRoles(playerCount) {
-  const composition = TEAM_COMPOSITION[playerCount] || TEAM_COMPOSITION[Math.min(playerCount, 12)];
-  const roles = [];
-  
-  // Always include special roles
-  roles.push(ROLES.SAMUEL);  // Good
-  roles.push(ROLES.DAVID);   // Good
-  roles.push(ROLES.SAUL);    // Evil
-  roles.push(ROLES.PHINEHAS); // Evil
-  
-  let goodRemaining = composition.good - 2;  // Already added Samuel and David
-  let evilRemaining = composition.evil - 2;  // Already added Saul and Phinehas
-  
-  // Add Doeg if we have room for evil
-  if (evilRemaining > 0) {
-    roles.push(ROLES.DOEG);
-    evilRemaining--;
+// Team sizes and Fails needed for each quest at this player count. A quest can
+// never require the WHOLE table: sizes are capped at playerCount - 1 so there's
+// always at least one player left off, preserving genuine choice in who to
+// pick. (Only the house table needs it — at 5-6 players its [3,4,5,6,6] would
+// otherwise force selecting everyone on quests 4 and 5.)
+function questRulesFor(playerCount, table = 'standard') {
+  const rows = QUEST_TABLES[table] || QUEST_TABLES.standard;
+  const counts = Object.keys(rows).map(Number).sort((a, b) => a - b);
+  const row = rows[counts.filter(c => c <= playerCount).pop() ?? counts[0]];
+  const maxTeamSize = Math.max(playerCount - 1, 1);
+  return {
+    sizes: row.sizes.map(size => Math.min(size, maxTeamSize)),
+    failsRequired: [...row.failsRequired]
+  };
+}
+
+// Which special roles get dealt at this player count. `roles` is the lobby
+// option: null for the standard setup (required roles plus each optional role's
+// `standard` rule — today Samuel, David, Saul, Phinehas, and Doeg once there
+// are 3+ evil players), or an explicit list of OPTIONAL_ROLES the host picked.
+// An explicit pick is checked against TEAM_COMPOSITION and reported in `error`
+// rather than silently trimmed. `composition` is undefined below the minimum
+// player count, where nothing can be checked yet.
+function resolveRoleSetup(playerCount, roles = null) {
+  const composition = TEAM_COMPOSITION[playerCount] || TEAM_COMPOSITION[Math.min(playerCount, MAX_PLAYERS)];
+  const good = [];
+  const evil = [];
+
+  for (const role of Object.values(ROLE_REGISTRY)) {
+    const side = role.alignment === 'evil' ? evil : good;
+    let deal = false;
+    if (role.kind === 'required') {
+      deal = true;
+    } else if (role.kind === 'optional' && roles !== null) {
+      deal = roles.includes(role.id);
+    } else if (role.kind === 'optional') {
+      deal = role.standard === 'always' ||
+        (role.standard === 'ifRoom' && !!composition && side.length < composition[role.alignment]);
+    }
+    if (deal) side.push(role.id);
   }
-  
-  // Fill remaining evil with Sheep
-  for (let i = 0; i < evilRemaining; i++) {
-    roles.push(ROLES.SHEEP);
+
+  let error = null;
+  if (composition && good.length > composition.good) {
+    error = `${good.length} good roles chosen, but ${playerCount} players only have ${composition.good} good seats`;
+  } else if (composition && evil.length > composition.evil) {
+    error = `${evil.length} evil roles chosen, but ${playerCount} players only have ${composition.evil} evil seats`;
   }
-  
-  // Fill remaining good with Mighty Men
-  for (let i = 0; i < goodRemaining; i++) {
-    roles.push(ROLES.MIGHTY_MAN);
+
+  return { good, evil, composition, error };
+}
+
+function assignRoles(playerCount, roleOption = null, rng = Math.random) {
+  const setup = resolveRoleSetup(playerCount, roleOption);
+  if (setup.error) {
+    throw new Error(setup.error);
+  }
+  const roles = [...setup.good, ...setup.evil];
+
+  // Fill each side's remaining seats with its filler role (Mighty Men, Sheep)
+  for (const alignment of ['good', 'evil']) {
+    const filler = Object.values(ROLE_REGISTRY).find(r => r.kind === 'filler' && r.alignment === alignment);
+    for (let i = setup[alignment].length; i < setup.composition[alignment]; i++) {
+      roles.push(filler.id);
+    }
   }
   
-  return shuffleArray(roles);
+  return shuffleArray(roles, rng);
 }
 
 // ============ Player Knowledge ============
@@ -132,42 +463,30 @@ function getPlayerKnowledge(game, playerId) {
   const knowledge = {
     role: player.role,
     isEvil: isEvil(player.role),
-    sees: []
+    sees: [],
+    // What the Ephod has shown THIS player (only ever the holder who asked).
+    ephodResults: []
   };
+
+  if (game.ephod) {
+    knowledge.ephodResults = game.ephod.investigations
+      .filter(inv => inv.holderId === playerId)
+      .map(inv => {
+        const target = game.players.find(p => p.id === inv.targetId);
+        return {
+          id: inv.targetId,
+          name: target ? target.name : 'Unknown',
+          label: inv.isEvil ? 'Evil' : 'Good',
+          afterQuest: inv.afterQuest
+        };
+      });
+  }
   
-  switch (player.role) {
-    case ROLES.SAMUEL:
-      // Sees all evil EXCEPT Saul
-      knowledge.sees = game.players
-        .filter(p => isEvil(p.role) && p.role !== ROLES.SAUL)
-        .map(p => ({ id: p.id, name: p.name, label: 'Evil' }));
-      break;
-      
-    case ROLES.DAVID:
-      // Sees Samuel and Phinehas but can't tell them apart
-      knowledge.sees = game.players
-        .filter(p => p.role === ROLES.SAMUEL || p.role === ROLES.PHINEHAS)
-        .map(p => ({ id: p.id, name: p.name, label: 'Samuel or Phinehas' }));
-      break;
-      
-    case ROLES.SAUL:
-    case ROLES.PHINEHAS:
-    case ROLES.SHEEP:
-      // Evil players (except Doeg) see all other evil players except Doeg
-      knowledge.sees = game.players
-        .filter(p => p.id !== playerId && isEvil(p.role) && p.role !== ROLES.DOEG)
-        .map(p => ({ id: p.id, name: p.name, label: 'Evil Ally' }));
-      break;
-      
-    case ROLES.DOEG:
-      // Knows nothing about other evil
-      knowledge.sees = [];
-      break;
-      
-    case ROLES.MIGHTY_MAN:
-      // Knows nothing
-      knowledge.sees = [];
-      break;
+  // Everyone else at the table, as this role sees them (see appearanceTo)
+  for (const p of game.players) {
+    if (p.id === playerId) continue;
+    const label = appearanceTo(player.role, p.role);
+    if (label) knowledge.sees.push({ id: p.id, name: p.name, label });
   }
   
   return knowledge;
@@ -175,21 +494,38 @@ function getPlayerKnowledge(game, playerId) {
 
 // ============ Game State Creation ============
 
-function createGame(hostName) {
-  const gameCode = generateCode();
-  const hostId = generatePlayerId();
-  
+// A new game, opened by its first event (see the reducer below). `seed`
+// (optional) makes the game's code, deal and first leader reproducible — see
+// normalizeSeed for what counts as a seed; `code` lets the caller (GameRoom)
+// supply the code it routes by.
+function createGame(hostName, { seed = null, code = null } = {}) {
+  const event = {
+    seq: 0,
+    type: 'create',
+    at: Date.now(),
+    hostId: generatePlayerId(),
+    hostName,
+    code: code || generateCode(6, seed === null ? Math.random : createRng(seed)),
+    seed
+  };
+  const game = initialState(event);
+  game.events.push(event);
+  return game;
+}
+
+// The state a game starts from, given its 'create' event
+function initialState(event) {
   return {
-    code: gameCode,
+    code: event.code,
     phase: GAME_PHASES.LOBBY,
-    hostId: hostId,
+    hostId: event.hostId,
     players: [{
-      id: hostId,
-      name: hostName,
+      id: event.hostId,
+      name: event.hostName,
       role: null,
       isHost: true,
       connected: true,
-      lastSeen: Date.now()
+      lastSeen: event.at
     }],
     currentQuest: 0,
     questResults: [],  // Array of { success: boolean, failCount: number }
@@ -197,52 +533,279 @@ function createGame(hostName) {
     proposedTeam: [],
     votes: {},  // playerId -> boolean (true = approve)
     questVotes: {},  // playerId -> boolean (true = success)
+    lastVoteResult: null,
     rejectCount: 0,  // Consecutive rejected teams
     assassinationTarget: null,
+    options: { ...DEFAULT_OPTIONS },
+    ephod: null,  // { holderId, pastHolderIds, investigations } once started with the Ephod
+    history: [],  // public event log, see logEvent()
     winner: null,  // 'good' or 'evil'
     winReason: null,
-    createdAt: Date.now(),
-    updatedAt: Date.now()
+    pendingUndo: null,  // an undo awaiting confirmation, see GameActions.requestUndo
+    paused: null,  // { by, at } while the host has the game paused
+    acknowledged: [],  // who has tapped "Got it" on this result screen (continueMode 'acknowledge')
+    resultDeadline: null,  // when this result screen moves on by itself, likewise
+    turnDeadline: null,  // when this turn times out (options.turnSeconds)
+    spectators: [],  // { id, name } of everyone watching; presence, like `connected`
+    markers: {},  // playerId -> { targetId: 'trusted' | 'suspected' }, see GameActions.mark
+    markerHistory: [],  // every marker change: { quest, phase, playerId, targetId, marker, at }
+    gameNumber: 1,  // which game this table is on, counting rematches
+    series: [],  // one result per finished game at this table, see endGame()
+    seed: event.seed,  // as given, for the game record
+    rngState: event.seed === null ? null : normalizeSeed(event.seed),  // see gameRng()
+    events: [],  // every accepted action, see commit()
+    createdAt: event.at,
+    updatedAt: event.at
+  };
+}
+
+// ============ Event Log ============
+// game.history is the public story of the game, in order. It is derived from
+// game.events (see the reducer below), so an undone action never appears in
+// it; an `undo` entry says something was taken back instead.
+//   start          { leaderId, ephodHolderId }
+//   proposal       { quest, attempt, leaderId, team, hammer }
+//   vote           { quest, attempt, votes: { playerId: approve }, approved, approveCount, rejectCount }
+//   quest          { quest, team, cards: { playerId: success }, successCount, failCount, failsRequired, success }
+//   investigation  { holderId, targetId, isEvil, afterQuest }
+//   assassination  { assassinId, targetId, success }
+//   gameOver       { winner, reason }
+//   undo           { action, playerId }
+//   substitute     { playerId, previousName, name }
+// `quest` is the 0-based quest index and `attempt` the proposal number within
+// it (1-5). Some fields are secret — see getPublicHistory().
+
+// Stamped with the time of the action being applied, so a rebuilt game has
+// the same history as the original.
+function logEvent(game, type, details) {
+  game.history.push({ type, at: game.updatedAt, ...details });
+}
+
+// A proposal that doesn't go ahead — voted down, or its leader's time ran out
+// with proposalTimeout 'pass' — counts against the round: the lead passes on,
+// or evil wins once REJECT_LIMIT have gone by.
+function rejectProposal(game) {
+  game.rejectCount++;
+  if (game.rejectCount >= REJECT_LIMIT) {
+    endGame(game, 'evil', 'Five consecutive team proposals were rejected');
+  } else {
+    game.leaderIndex = (game.leaderIndex + 1) % game.players.length;
+    game.proposedTeam = [];
+    game.votes = {};
+    game.phase = GAME_PHASES.TEAM_SELECTION;
+  }
+}
+
+// The result also goes on the table's scoreboard, which rematches keep (and
+// only the host's resetSeries clears).
+function endGame(game, winner, reason) {
+  game.phase = GAME_PHASES.GAME_OVER;
+  game.winner = winner;
+  game.winReason = reason;
+  logEvent(game, 'gameOver', { winner, reason });
+  const assassination = game.history.find(e => e.type === 'assassination');
+  game.series.push({
+    gameNumber: game.gameNumber,
+    winner,
+    reason,
+    assassinated: assassination ? assassination.success : null,
+    players: game.players.map(p => ({
+      id: p.id,
+      name: p.name,
+      role: p.role,
+      won: isEvil(p.role) === (winner === 'evil')
+    }))
+  });
+}
+
+// The scoreboard as everyone sees it: each game's result, wins by side, how
+// often Saul's strike landed, and each player's roles and results. Players
+// are keyed by seat, under the name they last played as, so someone who has
+// since left keeps their line.
+function getSeriesSummary(game) {
+  const players = new Map();
+  for (const result of game.series) {
+    for (const p of result.players) {
+      const line = players.get(p.id) || { id: p.id, name: p.name, played: 0, wins: 0, games: [] };
+      line.name = p.name;
+      line.played++;
+      if (p.won) line.wins++;
+      line.games.push({ gameNumber: result.gameNumber, role: p.role, won: p.won });
+      players.set(p.id, line);
+    }
+  }
+  const strikes = game.series.filter(r => r.assassinated !== null);
+  return {
+    games: game.series.map(({ gameNumber, winner, reason, assassinated }) => ({ gameNumber, winner, reason, assassinated })),
+    wins: {
+      good: game.series.filter(r => r.winner === 'good').length,
+      evil: game.series.filter(r => r.winner === 'evil').length
+    },
+    assassinations: { attempts: strikes.length, successes: strikes.filter(r => r.assassinated).length },
+    players: [...players.values()]
   };
 }
 
+// The log as everyone may see it: who played which quest card and what the
+// Ephod revealed are never public, and neither are individual team votes when
+// the 'counts' variant is on.
+function getPublicHistory(game) {
+  return (game.history || []).map(event => {
+    if (event.type === 'quest') {
+      const { cards, ...rest } = event;
+      return rest;
+    }
+    if (event.type === 'investigation') {
+      const { isEvil, ...rest } = event;
+      return rest;
+    }
+    if (event.type === 'vote' && game.options.voteReveal === 'counts') {
+      const { votes, ...rest } = event;
+      return rest;
+    }
+    return event;
+  });
+}
+
 // ============ Public State (what clients can see) ============
 
+// `playerId` may also be a spectator's id: spectators get the same view minus
+// anything personal, and never a role (see the spectator branch below).
 function getPublicGameState(game, playerId) {
   const player = game.players.find(p => p.id === playerId);
   const isInGame = !!player;
+  const spectator = isInGame ? null : game.spectators.find(s => s.id === playerId);
+  const questPreview = questRulesFor(Math.max(game.players.length, MIN_PLAYERS), game.options.questTable);
   
   const publicState = {
     code: game.code,
     phase: game.phase,
+    gameNumber: game.gameNumber,
     playerCount: game.players.length,
     // How many good/evil for each supported player count, so the lobby can
     // show "what happens as more people join" without duplicating this table
     // client-side (it's the single source of truth used by assignRoles()).
     teamComposition: TEAM_COMPOSITION,
+    minPlayers: MIN_PLAYERS,
+    maxPlayers: MAX_PLAYERS,
+    roleCatalog: getRoleCatalog(),
+    // The special roles that would be dealt (or were dealt) at this table size
+    // with the host's role choices, so everyone sees the setup before start.
+    roleSetup: (({ good, evil, error }) => ({ good, evil, error }))(
+      resolveRoleSetup(game.players.length, game.options.roles)
+    ),
+    // The same for every supported table size, for the lobby's breakdown table
+    roleSetups: Object.fromEntries(Object.keys(TEAM_COMPOSITION).map(count => {
+      const { good, evil, error } = resolveRoleSetup(Number(count), game.options.roles);
+      return [count, { good, evil, error }];
+    })),
     players: game.players.map(p => ({
       id: p.id,
       name: p.name,
       isHost: p.isHost,
       connected: p.connected,
+      bot: !!p.bot,
       // Only show roles in game over phase
       role: game.phase === GAME_PHASES.GAME_OVER ? p.role : undefined
     })),
     currentQuest: game.currentQuest,
     questResults: game.questResults,
-    // Effective sizes for this game (game.questSizes, set at start() and
-    // capped below the full player count) once known; the flat default
-    // beforehand is unused by the UI (it only appears after the game starts).
-    questSizes: game.questSizes || QUEST_SIZES,
-    questFailRequirements: QUEST_FAIL_REQUIREMENTS,
+    // This game's quest table (locked in at start()); in the lobby, a preview
+    // for the current head count (at least MIN_PLAYERS) and table.
+    questSizes: game.questSizes || questPreview.sizes,
+    questFailRequirements: game.questFailRequirements || questPreview.failsRequired,
     leaderIndex: game.leaderIndex,
     leaderName: game.players[game.leaderIndex]?.name,
     proposedTeam: game.proposedTeam,
     rejectCount: game.rejectCount,
+    rejectLimit: REJECT_LIMIT,
+    options: game.options,
+    // Every proposal, vote, quest and assassination so far (role-safe)
+    history: getPublicHistory(game),
+    // Who holds the Ephod and whom it has been used on — never the results,
+    // which only the holder learns (via getPlayerKnowledge).
+    ephod: game.ephod ? {
+      holderId: game.ephod.holderId,
+      holderName: game.players.find(p => p.id === game.ephod.holderId)?.name,
+      pastHolderIds: game.ephod.pastHolderIds,
+      checks: game.ephod.investigations.map(inv => ({
+        holderId: inv.holderId,
+        targetId: inv.targetId,
+        afterQuest: inv.afterQuest
+      }))
+    } : null,
+    // An undo waiting on its player's confirmation: which kind of action and
+    // whose, never what it was (a vote's value, a quest card)
+    pendingUndo: game.pendingUndo ? {
+      action: game.pendingUndo.action,
+      playerId: game.pendingUndo.affectedId,
+      playerName: game.players.find(p => p.id === game.pendingUndo.affectedId)?.name,
+      requestedBy: game.pendingUndo.requestedBy
+    } : null,
+    // Set while the host has the game paused; clients show an overlay
+    paused: game.paused ? {
+      by: game.paused.by,
+      byName: game.players.find(p => p.id === game.paused.by)?.name,
+      at: game.paused.at
+    } : null,
+    // Acknowledge-to-continue on a result screen: who has tapped "Got it",
+    // and when the screen moves on regardless
+    acknowledged: game.resultDeadline !== null ? game.acknowledged : undefined,
+    resultDeadline: game.resultDeadline,
+    // When this turn runs out of time, if the game has turn timers
+    turnDeadline: game.turnDeadline,
+    // Who is watching (never anything they could be told about the game)
+    spectators: game.spectators.map(s => ({ id: s.id, name: s.name })),
+    // Who trusts and suspects whom, and how that shifted quest by quest
+    markers: game.markers,
+    markerHistory: game.markerHistory,
     winner: game.winner,
-    winReason: game.winReason
+    winReason: game.winReason,
+    // Every finished game at this table since the scoreboard was last reset
+    series: getSeriesSummary(game)
   };
   
+  // What the whole table sees on this screen, players and spectators alike
+  if (isInGame || spectator) {
+    // Show who has voted (but not what they voted)
+    if (game.phase === GAME_PHASES.TEAM_VOTE) {
+      publicState.votedPlayers = Object.keys(game.votes);
+    }
+
+    // Vote result phase - show how everyone voted (or, with the 'counts'
+    // variant, only the tally)
+    if (game.phase === GAME_PHASES.VOTE_RESULT) {
+      if (game.options.voteReveal === 'counts') {
+        const { votes, ...tally } = game.lastVoteResult;
+        publicState.lastVoteResult = tally;
+      } else {
+        publicState.lastVoteResult = game.lastVoteResult;
+        // Include player names with their votes
+        publicState.voteDetails = game.players.map(p => ({
+          id: p.id,
+          name: p.name,
+          approved: game.lastVoteResult.votes[p.id]
+        }));
+      }
+    }
+
+    // Show who has submitted quest vote
+    if (game.phase === GAME_PHASES.QUEST) {
+      publicState.questVotedPlayers = Object.keys(game.questVotes);
+    }
+
+    if (game.phase === GAME_PHASES.QUEST_RESULT) {
+      publicState.lastQuestResult = game.questResults[game.questResults.length - 1];
+    }
+  }
+
+  // Spectators: the public view and nothing of their own. They hold no seat,
+  // so there is nothing for them to act on.
+  if (spectator) {
+    publicState.spectator = true;
+    publicState.myName = spectator.name;
+  }
+
   // Add player-specific info
   if (isInGame) {
     publicState.myId = playerId;
@@ -250,59 +813,536 @@ function getPublicGameState(game, playerId) {
     publicState.isHost = player.isHost;
     publicState.isLeader = game.players[game.leaderIndex]?.id === playerId;
     publicState.isOnTeam = game.proposedTeam.includes(playerId);
+
+    // What the host's "undo last action" would take back, or why it can't
+    if (player.isHost && game.phase !== GAME_PHASES.LOBBY && game.phase !== GAME_PHASES.GAME_OVER) {
+      const { event, error } = undoTarget(game);
+      publicState.undoTarget = event ? {
+        action: event.type,
+        playerId: event.playerId,
+        playerName: game.players.find(p => p.id === event.playerId)?.name
+      } : { error };
+    }
     
-    // Show who has voted (but not what they voted)
     if (game.phase === GAME_PHASES.TEAM_VOTE) {
-      publicState.votedPlayers = Object.keys(game.votes);
       publicState.hasVoted = game.votes[playerId] !== undefined;
     }
-    
-    // Vote result phase - show how everyone voted
-    if (game.phase === GAME_PHASES.VOTE_RESULT) {
-      publicState.lastVoteResult = game.lastVoteResult;
-      // Include player names with their votes
-      publicState.voteDetails = game.players.map(p => ({
-        id: p.id,
-        name: p.name,
-        approved: game.lastVoteResult.votes[p.id]
-      }));
-      publicState.isHost = player.isHost;
-    }
-    
-    // Show who has submitted quest vote
+
     if (game.phase === GAME_PHASES.QUEST) {
-      publicState.questVotedPlayers = Object.keys(game.questVotes);
       publicState.hasQuestVoted = game.questVotes[playerId] !== undefined;
     }
     
-    // Assassination phase - show to Saul
+    // Assassination phase - show to whoever can assassinate (Saul)
     if (game.phase === GAME_PHASES.ASSASSINATION) {
-      const isSaul = player.role === ROLES.SAUL;
-      publicState.isSaul = isSaul;
+      publicState.isAssassin = hasAbility(player.role, 'assassinate');
       publicState.assassinationReady = game.assassinationTarget !== null;
     }
     
-    // Quest result phase
-    if (game.phase === GAME_PHASES.QUEST_RESULT) {
-      const lastResult = game.questResults[game.questResults.length - 1];
-      publicState.lastQuestResult = lastResult;
-      publicState.isHost = player.isHost;
+    // Ephod phase - the holder picks someone they haven't been handed it by
+    if (game.phase === GAME_PHASES.INVESTIGATION) {
+      publicState.isEphodHolder = game.ephod.holderId === playerId;
     }
+
+    publicState.canWhisper = !!game.options.evilWhisper && whisperRecipients(game, playerId).length > 0;
+  }
+  
+  return publicState;
+}
+
+// ============ Events (the reducer) ============
+// The game is event-sourced: every accepted action is recorded in game.events
+// as { seq, type, at, ...details } and folded into the state by applyEvent().
+// GameActions (below) validate and decide — including any dice rolls, whose
+// results the event carries — and then commit(). The reducer never validates,
+// reads the clock or rolls dice, so rebuildGame(events) gives back the same
+// state anywhere; GameRoom persists the events, not the state.
+//
+// Presence (connected, lastSeen) is not part of the log: it describes sockets,
+// not the game, and GameRoom re-derives it after a rebuild. Nor are trust
+// markers (see GameActions.mark), which are table talk: GameRoom keeps them
+// beside the log, and an undo leaves them as they were.
+
+// Events about running the table rather than playing: they can't be undone
+// themselves, and don't supersede a pending undo.
+const META_EVENTS = ['undoRequest', 'undoDecline', 'undo', 'pause', 'resume', 'transferHost', 'acknowledge', 'substitute', 'resetSeries'];
+
+// A timed phase (re)starts its clock; any other phase has none
+function startTurnTimer(game, at) {
+  game.turnDeadline = game.options.turnSeconds > 0 && TIMED_PHASES.includes(game.phase)
+    ? at + game.options.turnSeconds * 1000
+    : null;
+}
+
+// Who a timed phase is waiting on
+function timedOutPlayerIds(game) {
+  switch (game.phase) {
+    case GAME_PHASES.TEAM_SELECTION:
+      return [game.players[game.leaderIndex].id];
+    case GAME_PHASES.TEAM_VOTE:
+      return game.players.filter(p => game.votes[p.id] === undefined).map(p => p.id);
+    case GAME_PHASES.QUEST:
+      return game.proposedTeam.filter(id => game.questVotes[id] === undefined);
+    case GAME_PHASES.INVESTIGATION:
+      return [game.ephod.holderId];
+    case GAME_PHASES.ASSASSINATION:
+      return game.players.filter(p => hasAbility(p.role, 'assassinate')).map(p => p.id);
+    default:
+      return [];
+  }
+}
+
+// A result screen opens: with acknowledge-to-continue, nobody has tapped
+// "Got it" yet and the countdown starts.
+function openResultScreen(game, phase, at) {
+  game.phase = phase;
+  game.acknowledged = [];
+  game.resultDeadline = game.options.continueMode === 'acknowledge'
+    ? at + game.options.ackSeconds * 1000
+    : null;
+}
+
+const EVENT_HANDLERS = {
+  join(game, { playerId, name, at }) {
+    game.players.push({
+      id: playerId,
+      name,
+      role: null,
+      isHost: false,
+      connected: true,
+      lastSeen: at
+    });
+  },
+
+  // A bot is always there: it has no socket to lose
+  addBot(game, { botId, name, at }) {
+    game.players.push({
+      id: botId,
+      name,
+      role: null,
+      isHost: false,
+      bot: true,
+      connected: true,
+      lastSeen: at
+    });
+  },
+
+  leave(game, { playerId }) {
+    game.players = game.players.filter(p => p.id !== playerId);
+  },
+
+  kick(game, { targetId }) {
+    game.players = game.players.filter(p => p.id !== targetId);
+  },
+
+  setOptions(game, { options }) {
+    game.options = { ...game.options, ...options };
+  },
+
+  start(game, { roles, leaderIndex, rngState }) {
+    game.players.forEach((p, i) => {
+      p.role = roles[i];
+    });
+    game.rngState = rngState;
+
+    // Lock in this game's quest table now that the player count is fixed.
+    const questRules = questRulesFor(game.players.length, game.options.questTable);
+    game.questSizes = questRules.sizes;
+    game.questFailRequirements = questRules.failsRequired;
+
+    game.leaderIndex = leaderIndex;
+
+    // The Ephod starts with the player seated just before the first leader,
+    // so the first leader and the first investigator are never the same.
+    if (game.options.ephod) {
+      const holder = game.players[(game.leaderIndex - 1 + game.players.length) % game.players.length];
+      game.ephod = { holderId: holder.id, pastHolderIds: [holder.id], investigations: [] };
+    }
+
+    logEvent(game, 'start', {
+      leaderId: game.players[game.leaderIndex].id,
+      ephodHolderId: game.ephod ? game.ephod.holderId : null
+    });
+
+    game.phase = GAME_PHASES.TEAM_SELECTION;
+  },
+
+  propose(game, { playerId, team }) {
+    game.proposedTeam = [...team];
+    game.votes = {};
+
+    // The hammer: after REJECT_LIMIT - 1 rejections the last proposal of the
+    // round goes straight to the quest instead of to a vote.
+    const hammer = game.options.rejectLimit === 'hammer' && game.rejectCount >= REJECT_LIMIT - 1;
+    logEvent(game, 'proposal', {
+      quest: game.currentQuest,
+      attempt: game.rejectCount + 1,
+      leaderId: playerId,
+      team: [...team],
+      hammer
+    });
+    if (hammer) {
+      game.questVotes = {};
+      game.rejectCount = 0;
+      game.phase = GAME_PHASES.QUEST;
+    } else {
+      game.phase = GAME_PHASES.TEAM_VOTE;
+    }
+  },
+
+  vote(game, { playerId, approve, at }) {
+    game.votes[playerId] = approve;
+
+    // Check if all votes are in
+    if (Object.keys(game.votes).length === game.players.length) {
+      const approveCount = Object.values(game.votes).filter(v => v).length;
+      const rejectCount = game.players.length - approveCount;
+      const approved = approveCount > game.players.length / 2;
+
+      // Store the vote result for display
+      game.lastVoteResult = {
+        approved: approved,
+        approveCount: approveCount,
+        rejectCount: rejectCount,
+        votes: { ...game.votes },
+        team: [...game.proposedTeam]
+      };
+      logEvent(game, 'vote', {
+        quest: game.currentQuest,
+        attempt: game.rejectCount + 1,
+        votes: { ...game.votes },
+        approved,
+        approveCount,
+        rejectCount
+      });
+
+      openResultScreen(game, GAME_PHASES.VOTE_RESULT, at);
+    }
+  },
+
+  continueFromVote(game) {
+    game.resultDeadline = null;
+    if (game.lastVoteResult.approved) {
+      game.questVotes = {};
+      game.phase = GAME_PHASES.QUEST;
+      game.rejectCount = 0;
+    } else {
+      rejectProposal(game);
+    }
+  },
+
+  questVote(game, { playerId, success, at }) {
+    game.questVotes[playerId] = success;
+
+    // Check if all quest votes are in
+    if (Object.keys(game.questVotes).length === game.proposedTeam.length) {
+      const failCount = Object.values(game.questVotes).filter(v => !v).length;
+      const successCount = Object.values(game.questVotes).filter(v => v).length;
+      const failsRequired = (game.questFailRequirements || QUEST_FAIL_REQUIREMENTS)[game.currentQuest];
+      const questSuccess = failCount < failsRequired;
+
+      game.questResults.push({
+        success: questSuccess,
+        failCount: failCount,
+        successCount: successCount,
+        team: [...game.proposedTeam]
+      });
+      logEvent(game, 'quest', {
+        quest: game.currentQuest,
+        team: [...game.proposedTeam],
+        cards: { ...game.questVotes },
+        successCount,
+        failCount,
+        failsRequired,
+        success: questSuccess
+      });
+      openResultScreen(game, GAME_PHASES.QUEST_RESULT, at);
+    }
+  },
+
+  continueFromQuest(game) {
+    game.resultDeadline = null;
+    // Determine next phase based on results
+    const goodWins = game.questResults.filter(r => r.success).length;
+    const evilWins = game.questResults.filter(r => !r.success).length;
+
+    if (goodWins >= 3) {
+      game.phase = GAME_PHASES.ASSASSINATION;
+    } else if (evilWins >= 3) {
+      endGame(game, 'evil', 'Three quests failed');
+    } else {
+      game.currentQuest++;
+      game.leaderIndex = (game.leaderIndex + 1) % game.players.length;
+      game.proposedTeam = [];
+      game.votes = {};
+      game.questVotes = {};
+      game.phase = game.ephod && EPHOD_AFTER_QUESTS.includes(game.questResults.length)
+        ? GAME_PHASES.INVESTIGATION
+        : GAME_PHASES.TEAM_SELECTION;
+    }
+  },
+
+  investigate(game, { playerId, targetId }) {
+    const investigation = {
+      holderId: playerId,
+      targetId,
+      isEvil: isEvil(game.players.find(p => p.id === targetId).role),
+      afterQuest: game.questResults.length
+    };
+    game.ephod.investigations.push(investigation);
+    logEvent(game, 'investigation', investigation);
+    game.ephod.pastHolderIds.push(targetId);
+    game.ephod.holderId = targetId;
+    game.phase = GAME_PHASES.TEAM_SELECTION;
+  },
+
+  assassinate(game, { playerId, targetId }) {
+    const assassin = game.players.find(p => p.id === playerId);
+    const target = game.players.find(p => p.id === targetId);
+    game.assassinationTarget = targetId;
+
+    const hit = matchesSelector(ROLE_REGISTRY[assassin.role].abilities.assassinate.targets, target.role);
+    logEvent(game, 'assassination', { assassinId: playerId, targetId, success: hit });
+    if (hit) {
+      endGame(game, 'evil', 'Saul correctly identified and eliminated Samuel');
+    } else {
+      endGame(game, 'good', 'Samuel survived the assassination attempt');
+    }
+  },
+
+  undoRequest(game, { playerId, undoes, action, affectedId }) {
+    game.pendingUndo = { undoes, action, affectedId, requestedBy: playerId };
+  },
+
+  undoDecline(game) {
+    game.pendingUndo = null;
+  },
+
+  pause(game, { playerId, at }) {
+    game.paused = { by: playerId, at };
+  },
+
+  // Countdowns stand still while paused
+  resume(game, { at }) {
+    if (game.resultDeadline !== null) game.resultDeadline += at - game.paused.at;
+    if (game.turnDeadline !== null) game.turnDeadline += at - game.paused.at;
+    game.paused = null;
+  },
+
+  // A turn ran out of time: whatever is missing is played by the rules the
+  // host picked (see GameActions.timeOut), through the same handlers as the
+  // real actions. Random picks were drawn in timeOut() and arrive as `team`
+  // or `targetId`, with the generator state after drawing them.
+  timeout(game, { outcome, team, targetId, rngState, at }) {
+    if (rngState !== undefined) game.rngState = rngState;
+    const playerIds = timedOutPlayerIds(game);
+    logEvent(game, 'timeout', { phase: game.phase, playerIds, outcome });
+    switch (game.phase) {
+      case GAME_PHASES.TEAM_SELECTION:
+        if (outcome === 'pass') {
+          rejectProposal(game);
+          startTurnTimer(game, at);
+        } else {
+          EVENT_HANDLERS.propose(game, { playerId: playerIds[0], team, at });
+        }
+        break;
+      case GAME_PHASES.TEAM_VOTE:
+        for (const playerId of playerIds) {
+          EVENT_HANDLERS.vote(game, { playerId, approve: outcome === 'approve', at });
+        }
+        break;
+      case GAME_PHASES.QUEST:
+        for (const playerId of playerIds) {
+          EVENT_HANDLERS.questVote(game, { playerId, success: true, at });
+        }
+        break;
+      case GAME_PHASES.INVESTIGATION:
+        EVENT_HANDLERS.investigate(game, { playerId: playerIds[0], targetId, at });
+        break;
+      case GAME_PHASES.ASSASSINATION:
+        if (outcome === 'goodWins') {
+          endGame(game, 'good', 'Saul ran out of time; Samuel survived');
+        } else {
+          EVENT_HANDLERS.assassinate(game, { playerId: playerIds[0], targetId, at });
+        }
+        break;
+    }
+  },
+
+  acknowledge(game, { playerId }) {
+    game.acknowledged.push(playerId);
+  },
+
+  // `automatic` when GameRoom promoted a player because the host was gone too
+  // long; playerId is then the host being replaced.
+  transferHost(game, { playerId, targetId, automatic }) {
+    for (const p of game.players) p.isHost = p.id === targetId;
+    game.hostId = targetId;
+    // An undo request belongs to the host who made it
+    game.pendingUndo = null;
+    if (game.phase !== GAME_PHASES.LOBBY) {
+      logEvent(game, 'host', { playerId: targetId, previousId: playerId, automatic });
+    }
+  },
+
+  // Back to the lobby with the same table: seats, names, options and the
+  // scoreboard stay (and so do GameRoom's tokens), everything dealt or played
+  // goes. `hostId` is the host for the next game, when hosting rotates.
+  rematch(game, { hostId }) {
+    for (const p of game.players) {
+      p.role = null;
+      p.isHost = p.id === hostId;
+    }
+    game.hostId = hostId;
+    game.gameNumber++;
+    game.phase = GAME_PHASES.LOBBY;
+    game.currentQuest = 0;
+    game.questResults = [];
+    delete game.questSizes;
+    delete game.questFailRequirements;
+    game.leaderIndex = 0;
+    game.proposedTeam = [];
+    game.votes = {};
+    game.questVotes = {};
+    game.lastVoteResult = null;
+    game.rejectCount = 0;
+    game.assassinationTarget = null;
+    game.ephod = null;
+    game.history = [];
+    game.winner = null;
+    game.winReason = null;
+    game.acknowledged = [];
+    game.markers = {};
+    game.markerHistory = [];
+  },
+
+  resetSeries(game) {
+    game.series = [];
+  },
+
+  // A newcomer takes over a seat mid-game. The seat keeps its id, so its role,
+  // knowledge and any vote or card still owed come with it; only the name
+  // changes hands.
+  substitute(game, { targetId, name }) {
+    const seat = game.players.find(p => p.id === targetId);
+    logEvent(game, 'substitute', { playerId: targetId, previousName: seat.name, name });
+    seat.name = name;
+    // A person can take over a bot's seat
+    delete seat.bot;
+  },
+
+  // Only ever applied by rebuildGame(), which has already skipped the undone
+  // event; all that's left is to say so in the history (and, if it reopens a
+  // result screen, to give its countdown a fresh start).
+  undo(game, { action, affectedId, at }) {
+    if (game.resultDeadline !== null) game.resultDeadline = at + game.options.ackSeconds * 1000;
+    startTurnTimer(game, at);
+    game.pendingUndo = null;
+    logEvent(game, 'undo', { action, playerId: affectedId });
+  }
+};
+
+function applyEvent(game, event) {
+  game.updatedAt = event.at;
+  if (!META_EVENTS.includes(event.type)) game.pendingUndo = null;
+  const phase = game.phase;
+  EVENT_HANDLERS[event.type](game, event);
+  if (game.phase !== phase) startTurnTimer(game, event.at);
+  return game;
+}
+
+// The state a list of events adds up to. Undone events are skipped, as if
+// they had never been taken.
+function rebuildGame(events) {
+  const undone = new Set(events.filter(e => e.type === 'undo').map(e => e.undoes));
+  const game = initialState(events[0]);
+  for (const event of events.slice(1)) {
+    if (!undone.has(event.seq)) applyEvent(game, event);
+  }
+  game.events = [...events];
+  return game;
+}
+
+// Record an accepted action and fold it into the game. An undo can't be
+// folded forward, so it rebuilds the game in place from the log instead,
+// keeping everyone's presence (and who's watching, and the markers) as it was.
+function commit(game, type, details = {}) {
+  const event = { seq: game.events.length, type, at: Date.now(), ...details };
+  game.events.push(event);
+  if (type !== 'undo') {
+    applyEvent(game, event);
+    return event;
+  }
+
+  const presence = new Map(game.players.map(p => [p.id, { connected: p.connected, lastSeen: p.lastSeen }]));
+  const { spectators, markers, markerHistory } = game;
+  const rebuilt = rebuildGame(game.events);
+  for (const key of Object.keys(game)) delete game[key];
+  Object.assign(game, rebuilt);
+  for (const p of game.players) Object.assign(p, presence.get(p.id));
+  game.spectators = spectators;
+  Object.assign(game, { markers, markerHistory });
+  return event;
+}
+
+// ---- Undo ----
+// Only these actions can be taken back, and only while doing so can't give
+// away a secret: each check returns why not, or null. A vote that completed a
+// counts-only tally, or a quest card once the result is out, would be
+// revealed by the difference a re-do makes. The deal, an Ephod reading (the
+// holder has already seen it) and anything that ended the game never qualify,
+// nor does anything that happened by itself (a result screen everyone
+// acknowledged, a countdown or turn timer running out): undone, it would
+// only happen again.
+const AUTOMATIC_ERROR = 'The table moved on by itself; that can\'t be undone';
+
+const UNDOABLE_ACTIONS = {
+  propose: () => null,
+  vote: (game) => (game.phase === GAME_PHASES.VOTE_RESULT && game.options.voteReveal === 'counts'
+    ? 'That vote completed a secret tally; undoing it would reveal how it was cast'
+    : null),
+  continueFromVote: () => null,
+  questVote: (game) => (game.phase === GAME_PHASES.QUEST_RESULT
+    ? 'The quest result is out; undoing a card now would reveal it'
+    : null),
+  continueFromQuest: () => null
+};
+
+// The last action taken (skipping undo bookkeeping and anything already
+// undone), as { event } if it can be undone or { error } if not.
+function undoTarget(game) {
+  if (game.phase === GAME_PHASES.LOBBY) return { error: 'Nothing to undo before the game starts' };
+  if (game.phase === GAME_PHASES.GAME_OVER) return { error: 'The game is over' };
+  const undone = new Set(game.events.filter(e => e.type === 'undo').map(e => e.undoes));
+  const event = [...game.events].reverse().find(e => !META_EVENTS.includes(e.type) && !undone.has(e.seq));
+  if (event.automatic) return { error: AUTOMATIC_ERROR };
+  if (!UNDOABLE_ACTIONS[event.type]) {
+    return { error: event.type === 'investigate'
+      ? 'The Ephod reading has been seen; it can\'t be undone'
+      : 'The last action can\'t be undone' };
   }
-  
-  return publicState;
+  const error = UNDOABLE_ACTIONS[event.type](game, event);
+  return error ? { error } : { event };
 }
 
 // ============ Game Actions ============
-// Each action validates input, modifies game state, and returns result
-// These are pure functions that don't touch storage
+// Each action validates input against the current state, then commits an
+// event (see above) that the reducer applies. Like the reducer, they don't
+// touch storage.
+
+// Every in-game action is refused while the host has the game paused
+function assertNotPaused(game) {
+  if (game.paused) {
+    throw new Error('The game is paused');
+  }
+}
+
+// Leave a result screen without the host (see GameActions.acknowledge)
+function continueAutomatically(game) {
+  const type = game.phase === GAME_PHASES.VOTE_RESULT ? 'continueFromVote' : 'continueFromQuest';
+  commit(game, type, { playerId: null, automatic: true });
+}
 
 const GameActions = {
-  // Mark the game as changed.
-  _touch(game) {
-    game.updatedAt = Date.now();
-  },
-  
   // Join an existing game
   join(game, playerName) {
     playerName = normalizeName(playerName);
@@ -314,7 +1354,7 @@ const GameActions = {
       throw new Error('Game has already started');
     }
 
-    if (game.players.length >= 12) {
+    if (game.players.length >= MAX_PLAYERS) {
       throw new Error('Game is full');
     }
 
@@ -323,20 +1363,27 @@ const GameActions = {
     }
     
     const newPlayerId = generatePlayerId();
-    game.players.push({
-      id: newPlayerId,
-      name: playerName,
-      role: null,
-      isHost: false,
-      connected: true,
-      lastSeen: Date.now()
-    });
-    this._touch(game);
+    commit(game, 'join', { playerId: newPlayerId, name: playerName });
     
     return { playerId: newPlayerId };
   },
   
-  // Rejoin after disconnect
+  // Host seats a bot (see bots.js), named after one of David's men not
+  // already at the table
+  addBot(game, playerId) {
+    const host = game.players.find(p => p.id === playerId);
+    if (!host || !host.isHost) throw new Error('Only the host can add bots');
+    if (game.phase !== GAME_PHASES.LOBBY) throw new Error('Bots can only be added in the lobby');
+    if (game.players.length >= MAX_PLAYERS) throw new Error('Game is full');
+    const taken = new Set(game.players.map(p => p.name.toLowerCase()));
+    const name = BOT_NAMES.find(n => !taken.has(n.toLowerCase()));
+    if (!name) throw new Error('No bot names left');
+    const botId = generatePlayerId();
+    commit(game, 'addBot', { playerId, botId, name });
+    return { botId };
+  },
+
+  // Rejoin after disconnect (presence only — not an event)
   rejoin(game, playerId) {
     const player = game.players.find(p => p.id === playerId);
     if (!player) {
@@ -345,21 +1392,36 @@ const GameActions = {
 
     player.connected = true;
     player.lastSeen = Date.now();
-    this._touch(game);
 
     return { playerName: player.name };
   },
 
+  // Watch the game without a seat (presence only — not an event). Open at any
+  // phase, unless the host has turned spectators off.
+  spectate(game, name) {
+    if (!game.options.allowSpectators) {
+      throw new Error('This game is not open to spectators');
+    }
+    name = normalizeName(name);
+    if (!name) throw new Error('Name is required');
+    const spectatorId = generatePlayerId();
+    game.spectators.push({ id: spectatorId, name });
+    return { spectatorId };
+  },
+
+  stopSpectating(game, spectatorId) {
+    game.spectators = game.spectators.filter(s => s.id !== spectatorId);
+  },
+
   // Leave the game (lobby only — mid-game the roster is load-bearing).
   leave(game, playerId) {
     if (game.phase !== GAME_PHASES.LOBBY) {
       throw new Error('Can only leave during the lobby');
     }
-    const idx = game.players.findIndex(p => p.id === playerId);
-    if (idx === -1) throw new Error('Player not found');
-    if (game.players[idx].isHost) throw new Error('The host cannot leave the game');
-    game.players.splice(idx, 1);
-    this._touch(game);
+    const player = game.players.find(p => p.id === playerId);
+    if (!player) throw new Error('Player not found');
+    if (player.isHost) throw new Error('The host cannot leave the game');
+    commit(game, 'leave', { playerId });
     return { removedId: playerId };
   },
 
@@ -370,13 +1432,32 @@ const GameActions = {
     }
     const host = game.players.find(p => p.id === playerId);
     if (!host || !host.isHost) throw new Error('Only the host can remove players');
-    const idx = game.players.findIndex(p => p.id === targetId);
-    if (idx === -1) throw new Error('Player not found');
-    if (game.players[idx].isHost) throw new Error('The host cannot be removed');
-    game.players.splice(idx, 1);
-    this._touch(game);
+    const target = game.players.find(p => p.id === targetId);
+    if (!target) throw new Error('Player not found');
+    if (target.isHost) throw new Error('The host cannot be removed');
+    commit(game, 'kick', { playerId, targetId });
     return { removedId: targetId };
   },
+
+  // Host changes lobby options. Only known keys are accepted, and each value
+  // goes through its OPTION_NORMALIZERS entry so nothing odd gets persisted.
+  setOptions(game, playerId, changes) {
+    if (game.phase !== GAME_PHASES.LOBBY) {
+      throw new Error('Options can only be changed in the lobby');
+    }
+    const host = game.players.find(p => p.id === playerId);
+    if (!host || !host.isHost) throw new Error('Only the host can change options');
+    if (!changes || typeof changes !== 'object') throw new Error('Invalid options');
+
+    const normalized = {};
+    for (const [key, value] of Object.entries(changes)) {
+      if (!(key in DEFAULT_OPTIONS)) throw new Error(`Unknown option: ${key}`);
+      normalized[key] = OPTION_NORMALIZERS[key](value);
+      if (normalized[key] === undefined) throw new Error(`Invalid value for ${key}`);
+    }
+    commit(game, 'setOptions', { playerId, options: normalized });
+    return { options: game.options };
+  },
   
   // Start the game (host only)
   start(game, playerId) {
@@ -389,35 +1470,26 @@ const GameActions = {
       throw new Error('Game has already started');
     }
     
-    if (game.players.length < 6) {
-      throw new Error('Need at least 6 players to start');
+    if (game.players.length < MIN_PLAYERS) {
+      throw new Error(`Need at least ${MIN_PLAYERS} players to start`);
     }
     
-    // Assign roles
-    const roles = assignRoles(game.players.length);
-    game.players.forEach((p, i) => {
-      p.role = roles[i];
-    });
+    // Deal roles (throws if the host's role choices don't fit this table) and
+    // pick a random leader. The dice are rolled here, on a copy of the
+    // generator, so the event carries the outcome and the new generator state.
+    const draw = { rngState: game.rngState };
+    const rng = gameRng(draw);
+    const roles = assignRoles(game.players.length, game.options.roles, rng);
+    const leaderIndex = Math.floor(rng() * game.players.length);
 
-    // Lock in this game's quest sizes now that the player count is fixed. A
-    // proposed team can never be required to be the WHOLE table — cap each
-    // quest at players.length - 1 so there's always at least one player left
-    // off, preserving genuine choice in who to pick. (Only matters at the
-    // 6-player minimum, where the standard sizes [3,4,5,6,6] would otherwise
-    // force selecting everyone on quests 4 and 5.)
-    const maxTeamSize = game.players.length - 1;
-    game.questSizes = QUEST_SIZES.map(size => Math.min(size, maxTeamSize));
-
-    // Randomize leader
-    game.leaderIndex = Math.floor(Math.random() * game.players.length);
-    game.phase = GAME_PHASES.TEAM_SELECTION;
-    this._touch(game);
+    commit(game, 'start', { playerId, roles, leaderIndex, rngState: draw.rngState });
 
     return { success: true };
   },
   
   // Propose a team for the quest (leader only)
   propose(game, playerId, team) {
+    assertNotPaused(game);
     if (game.phase !== GAME_PHASES.TEAM_SELECTION) {
       throw new Error('Not in team selection phase');
     }
@@ -427,7 +1499,7 @@ const GameActions = {
     }
     
     const questSize = (game.questSizes || QUEST_SIZES)[game.currentQuest];
-    if (team.length !== questSize) {
+    if (!Array.isArray(team) || team.length !== questSize) {
       throw new Error(`Team must have exactly ${questSize} players`);
     }
     
@@ -437,17 +1509,19 @@ const GameActions = {
         throw new Error('Invalid team member');
       }
     }
+
+    if (game.options.leaderOnTeam && !team.includes(playerId)) {
+      throw new Error('The leader must be on the team');
+    }
     
-    game.proposedTeam = team;
-    game.votes = {};
-    game.phase = GAME_PHASES.TEAM_VOTE;
-    this._touch(game);
+    commit(game, 'propose', { playerId, team: [...team] });
     
     return { success: true };
   },
   
   // Vote on proposed team
   vote(game, playerId, approve) {
+    assertNotPaused(game);
     if (game.phase !== GAME_PHASES.TEAM_VOTE) {
       throw new Error(`Not in voting phase (current phase: ${game.phase})`);
     }
@@ -460,32 +1534,15 @@ const GameActions = {
       throw new Error('Already voted');
     }
     
-    game.votes[playerId] = !!approve;
-    this._touch(game);
-    
-    // Check if all votes are in
-    if (Object.keys(game.votes).length === game.players.length) {
-      const approveCount = Object.values(game.votes).filter(v => v).length;
-      const rejectCount = game.players.length - approveCount;
-      const approved = approveCount > game.players.length / 2;
-      
-      // Store the vote result for display
-      game.lastVoteResult = {
-        approved: approved,
-        approveCount: approveCount,
-        rejectCount: rejectCount,
-        votes: { ...game.votes },
-        team: [...game.proposedTeam]
-      };
-      
-      game.phase = GAME_PHASES.VOTE_RESULT;
-    }
+    commit(game, 'vote', { playerId, approve: !!approve });
     
     return { success: true };
   },
   
-  // Continue from vote result phase (host only)
+  // Continue from vote result phase (host only; with acknowledge-to-continue
+  // the host can still skip the wait)
   continueFromVote(game, playerId) {
+    assertNotPaused(game);
     if (game.phase !== GAME_PHASES.VOTE_RESULT) {
       throw new Error('Not in vote result phase');
     }
@@ -495,33 +1552,13 @@ const GameActions = {
       throw new Error('Only the host can continue');
     }
     
-    const approved = game.lastVoteResult.approved;
-    
-    if (approved) {
-      game.questVotes = {};
-      game.phase = GAME_PHASES.QUEST;
-      game.rejectCount = 0;
-    } else {
-      game.rejectCount++;
-      
-      if (game.rejectCount >= 5) {
-        game.phase = GAME_PHASES.GAME_OVER;
-        game.winner = 'evil';
-        game.winReason = 'Five consecutive team proposals were rejected';
-      } else {
-        game.leaderIndex = (game.leaderIndex + 1) % game.players.length;
-        game.proposedTeam = [];
-        game.votes = {};
-        game.phase = GAME_PHASES.TEAM_SELECTION;
-      }
-    }
-    
-    this._touch(game);
+    commit(game, 'continueFromVote', { playerId });
     return { success: true };
   },
   
   // Submit quest vote (pass/fail)
   questVote(game, playerId, success) {
+    assertNotPaused(game);
     if (game.phase !== GAME_PHASES.QUEST) {
       throw new Error('Not in quest phase');
     }
@@ -541,36 +1578,16 @@ const GameActions = {
       throw new Error('Already submitted quest vote');
     }
     
-    game.questVotes[playerId] = !!success;
-    this._touch(game);
-    
-    let questComplete = false;
-    let questResult = null;
-    
-    // Check if all quest votes are in
-    if (Object.keys(game.questVotes).length === game.proposedTeam.length) {
-      const failCount = Object.values(game.questVotes).filter(v => !v).length;
-      const successCount = Object.values(game.questVotes).filter(v => v).length;
-      const failsRequired = QUEST_FAIL_REQUIREMENTS[game.currentQuest];
-      const questSuccess = failCount < failsRequired;
-      
-      questResult = {
-        success: questSuccess,
-        failCount: failCount,
-        successCount: successCount,
-        team: [...game.proposedTeam]
-      };
-      
-      game.questResults.push(questResult);
-      game.phase = GAME_PHASES.QUEST_RESULT;
-      questComplete = true;
-    }
+    const resultsBefore = game.questResults.length;
+    commit(game, 'questVote', { playerId, success: !!success });
+    const questComplete = game.questResults.length > resultsBefore;
     
-    return { success: true, questComplete, questResult };
+    return { success: true, questComplete, questResult: questComplete ? game.questResults[resultsBefore] : null };
   },
   
-  // Continue from quest result phase (host only)
+  // Continue from quest result phase (host only, as above)
   continueFromQuest(game, playerId) {
+    assertNotPaused(game);
     if (game.phase !== GAME_PHASES.QUEST_RESULT) {
       throw new Error('Not in quest result phase');
     }
@@ -580,77 +1597,644 @@ const GameActions = {
       throw new Error('Only the host can continue');
     }
     
-    // Determine next phase based on results
-    const goodWins = game.questResults.filter(r => r.success).length;
-    const evilWins = game.questResults.filter(r => !r.success).length;
-    
-    if (goodWins >= 3) {
-      game.phase = GAME_PHASES.ASSASSINATION;
-    } else if (evilWins >= 3) {
-      game.phase = GAME_PHASES.GAME_OVER;
-      game.winner = 'evil';
-      game.winReason = 'Three quests failed';
-    } else {
-      game.currentQuest++;
-      game.leaderIndex = (game.leaderIndex + 1) % game.players.length;
-      game.proposedTeam = [];
-      game.votes = {};
-      game.questVotes = {};
-      game.phase = GAME_PHASES.TEAM_SELECTION;
+    commit(game, 'continueFromQuest', { playerId });
+    return { success: true };
+  },
+
+  // Use the Ephod on another player (current holder only). The holder privately
+  // learns the target's allegiance, then the Ephod passes to the target. Nobody
+  // can be investigated by the Ephod twice: past holders are off-limits.
+  investigate(game, playerId, targetId) {
+    assertNotPaused(game);
+    if (game.phase !== GAME_PHASES.INVESTIGATION) {
+      throw new Error('Not in Ephod phase');
     }
-    
-    this._touch(game);
+
+    if (game.ephod.holderId !== playerId) {
+      throw new Error('Only the Ephod holder can investigate');
+    }
+
+    if (!game.players.some(p => p.id === targetId)) {
+      throw new Error('Target not found');
+    }
+
+    if (game.ephod.pastHolderIds.includes(targetId)) {
+      throw new Error('That player has already held the Ephod');
+    }
+
+    commit(game, 'investigate', { playerId, targetId });
+
     return { success: true };
   },
   
-  // Assassination attempt (Saul only)
+  // Assassination attempt (Saul, or whoever has the 'assassinate' ability)
   assassinate(game, playerId, targetId) {
+    assertNotPaused(game);
     if (game.phase !== GAME_PHASES.ASSASSINATION) {
       throw new Error('Not in assassination phase');
     }
     
     const player = game.players.find(p => p.id === playerId);
-    if (!player || player.role !== ROLES.SAUL) {
+    if (!player || !hasAbility(player.role, 'assassinate')) {
       throw new Error('Only Saul can assassinate');
     }
     
-    const target = game.players.find(p => p.id === targetId);
-    if (!target) {
+    if (!game.players.some(p => p.id === targetId)) {
       throw new Error('Target not found');
     }
     
-    game.assassinationTarget = targetId;
+    commit(game, 'assassinate', { playerId, targetId });
     
-    if (target.role === ROLES.SAMUEL) {
-      game.winner = 'evil';
-      game.winReason = 'Saul correctly identified and eliminated Samuel';
-    } else {
-      game.winner = 'good';
-      game.winReason = 'Samuel survived the assassination attempt';
+    return { success: true };
+  },
+
+  // Host asks to take back the last action (a mis-tapped Propose, an
+  // accidental Reject). Whoever took it must confirm via respondUndo; the
+  // host's own actions are undone straight away.
+  requestUndo(game, playerId) {
+    assertNotPaused(game);
+    const host = game.players.find(p => p.id === playerId);
+    if (!host || !host.isHost) throw new Error('Only the host can undo');
+    if (game.pendingUndo) throw new Error('An undo is already waiting for confirmation');
+
+    const { event, error } = undoTarget(game);
+    if (error) throw new Error(error);
+
+    const undo = { undoes: event.seq, action: event.type, affectedId: event.playerId };
+    if (event.playerId === playerId) {
+      commit(game, 'undo', { playerId, ...undo });
+      return { undone: true };
     }
-    
-    game.phase = GAME_PHASES.GAME_OVER;
-    this._touch(game);
-    
+    commit(game, 'undoRequest', { playerId, ...undo });
+    return { undone: false };
+  },
+
+  // The player whose action the host wants to undo confirms or declines it;
+  // the host can also withdraw the request.
+  respondUndo(game, playerId, accept) {
+    assertNotPaused(game);
+    const pending = game.pendingUndo;
+    if (!pending) throw new Error('There is no undo to confirm');
+
+    if (accept) {
+      if (playerId !== pending.affectedId) {
+        const affected = game.players.find(p => p.id === pending.affectedId);
+        throw new Error(`Only ${affected ? affected.name : 'that player'} can confirm this undo`);
+      }
+      commit(game, 'undo', { playerId, undoes: pending.undoes, action: pending.action, affectedId: pending.affectedId });
+      return { undone: true };
+    }
+
+    if (playerId !== pending.affectedId && playerId !== pending.requestedBy) {
+      throw new Error('This undo is not yours to decline');
+    }
+    commit(game, 'undoDecline', { playerId });
+    return { undone: false };
+  },
+
+  // "Got it" on a result screen (continueMode 'acknowledge'). Once everyone
+  // connected has tapped it, the game moves on without the host.
+  acknowledge(game, playerId) {
+    assertNotPaused(game);
+    if (game.options.continueMode !== 'acknowledge') throw new Error('The host continues in this game');
+    if (game.resultDeadline === null) throw new Error('Nothing to acknowledge');
+    if (!game.players.some(p => p.id === playerId)) throw new Error('Player not found');
+    if (game.acknowledged.includes(playerId)) throw new Error('Already acknowledged');
+    commit(game, 'acknowledge', { playerId });
+    GameActions.continueIfAcknowledged(game);
+    return { success: true };
+  },
+
+  // Moves a result screen on once every connected player has acknowledged it.
+  // GameRoom also calls this when someone disconnects, in case they were the
+  // one the table was waiting on. Returns whether it moved on.
+  continueIfAcknowledged(game) {
+    if (game.paused || game.resultDeadline === null || game.acknowledged.length === 0) return false;
+    if (!game.players.every(p => !p.connected || game.acknowledged.includes(p.id))) return false;
+    continueAutomatically(game);
+    return true;
+  },
+
+  // GameRoom's alarm: moves a result screen on once its countdown runs out
+  continueOnTimeout(game, now = Date.now()) {
+    if (game.paused || game.resultDeadline === null || now < game.resultDeadline) return false;
+    continueAutomatically(game);
+    return true;
+  },
+
+  // GameRoom's alarm: a turn has run out of time (options.turnSeconds). The
+  // leader's team is drawn at random or the lead passes on (proposalTimeout;
+  // the hammer is never passed), missing votes count as voteTimeout, missing
+  // quest cards as Success, the Ephod goes to a random player it may still
+  // visit, and Saul's strike follows assassinationTimeout. Returns whether it
+  // timed out.
+  timeOut(game, now = Date.now()) {
+    if (game.paused || game.turnDeadline === null || now < game.turnDeadline) return false;
+    const details = { playerId: null, automatic: true };
+    const draw = { rngState: game.rngState };
+    const rng = gameRng(draw);
+    switch (game.phase) {
+      case GAME_PHASES.TEAM_SELECTION: {
+        const hammer = game.options.rejectLimit === 'hammer' && game.rejectCount >= REJECT_LIMIT - 1;
+        details.outcome = hammer ? 'random' : game.options.proposalTimeout;
+        if (details.outcome === 'random') {
+          const size = (game.questSizes || QUEST_SIZES)[game.currentQuest];
+          const leaderId = game.players[game.leaderIndex].id;
+          const ids = game.players.map(p => p.id);
+          details.team = game.options.leaderOnTeam
+            ? [leaderId, ...shuffleArray(ids.filter(id => id !== leaderId), rng).slice(0, size - 1)]
+            : shuffleArray(ids, rng).slice(0, size);
+        }
+        break;
+      }
+      case GAME_PHASES.TEAM_VOTE:
+        details.outcome = game.options.voteTimeout;
+        break;
+      case GAME_PHASES.QUEST:
+        details.outcome = 'success';
+        break;
+      case GAME_PHASES.INVESTIGATION: {
+        details.outcome = 'random';
+        const targets = game.players.filter(p => !game.ephod.pastHolderIds.includes(p.id));
+        details.targetId = targets[Math.floor(rng() * targets.length)].id;
+        break;
+      }
+      case GAME_PHASES.ASSASSINATION: {
+        details.outcome = game.options.assassinationTimeout;
+        if (details.outcome === 'random') {
+          const good = game.players.filter(p => !isEvil(p.role));
+          details.targetId = good[Math.floor(rng() * good.length)].id;
+        }
+        break;
+      }
+    }
+    if (draw.rngState !== game.rngState) details.rngState = draw.rngState;
+    commit(game, 'timeout', details);
+    return true;
+  },
+
+  // A player publicly marks another as 'trusted' or 'suspected' (or, with
+  // null, takes their marker off), in any phase from the deal to Saul's
+  // strike. Markers are table talk, not moves: they are set on the game
+  // directly rather than committed, so they can't be undone and never change
+  // what the rules allow.
+  mark(game, playerId, targetId, marker) {
+    assertNotPaused(game);
+    if (game.phase === GAME_PHASES.LOBBY || game.phase === GAME_PHASES.GAME_OVER) {
+      throw new Error('Markers are for a game in progress');
+    }
+    if (!game.players.some(p => p.id === playerId)) throw new Error('Player not found');
+    const target = game.players.find(p => p.id === targetId);
+    if (!target) throw new Error('Player not found');
+    if (targetId === playerId) throw new Error('You can\'t mark yourself');
+    if (marker !== null && !MARKERS.includes(marker)) throw new Error('Unknown marker');
+    if ((game.markers[playerId]?.[targetId] ?? null) === marker) {
+      throw new Error(marker ? `${target.name} is already marked ${marker}` : `You haven't marked ${target.name}`);
+    }
+    const changes = game.markerHistory.filter(m => m.playerId === playerId && m.quest === game.currentQuest).length;
+    if (changes >= MARKER_CHANGES_PER_QUEST) throw new Error('You have changed your markers too often this quest');
+    const mine = game.markers[playerId] || (game.markers[playerId] = {});
+    if (marker) mine[targetId] = marker;
+    else delete mine[targetId];
+    game.markerHistory.push({ quest: game.currentQuest, phase: game.phase, playerId, targetId, marker, at: Date.now() });
+    return { success: true };
+  },
+
+  // Host freezes the game (dinner, a phone call): every in-game action is
+  // refused until resume.
+  pause(game, playerId) {
+    const host = game.players.find(p => p.id === playerId);
+    if (!host || !host.isHost) throw new Error('Only the host can pause the game');
+    if (game.phase === GAME_PHASES.LOBBY || game.phase === GAME_PHASES.GAME_OVER) {
+      throw new Error('Only a game in progress can be paused');
+    }
+    if (game.paused) throw new Error('The game is already paused');
+    commit(game, 'pause', { playerId });
+    return { success: true };
+  },
+
+  resume(game, playerId) {
+    const host = game.players.find(p => p.id === playerId);
+    if (!host || !host.isHost) throw new Error('Only the host can resume the game');
+    if (!game.paused) throw new Error('The game is not paused');
+    commit(game, 'resume', { playerId });
     return { success: true };
+  },
+
+  // Host hands hosting to another (connected) player. Allowed while paused:
+  // a host who has to go shouldn't leave the table frozen.
+  transferHost(game, playerId, targetId) {
+    const host = game.players.find(p => p.id === playerId);
+    if (!host || !host.isHost) throw new Error('Only the host can hand over hosting');
+    const target = game.players.find(p => p.id === targetId);
+    if (!target) throw new Error('Player not found');
+    if (target.isHost) throw new Error('You are already the host');
+    if (target.bot) throw new Error('A bot can\'t host');
+    if (!target.connected) throw new Error(`${target.name} is not connected`);
+    commit(game, 'transferHost', { playerId, targetId, automatic: false });
+    return { hostId: targetId };
+  },
+
+  // Host gives a player's seat to someone new mid-game (a player who had to go
+  // home). The newcomer then joins with the game code and `name`; GameRoom
+  // revokes the old player's token. Allowed while paused, which is when a
+  // table usually sorts this out.
+  substitute(game, playerId, targetId, name) {
+    const host = game.players.find(p => p.id === playerId);
+    if (!host || !host.isHost) throw new Error('Only the host can hand over a seat');
+    if (game.phase === GAME_PHASES.LOBBY) throw new Error('Seats can only be handed over once the game has started');
+    if (game.phase === GAME_PHASES.GAME_OVER) throw new Error('The game is over');
+    const target = game.players.find(p => p.id === targetId);
+    if (!target) throw new Error('Player not found');
+    if (target.isHost) throw new Error('Make someone else host before handing over your own seat');
+    name = normalizeName(name);
+    if (!name) throw new Error('Name is required');
+    if (game.players.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error('Name already taken');
+    }
+    commit(game, 'substitute', { playerId, targetId, name });
+    // Nobody is in the seat until the newcomer connects (and a result screen
+    // may have been waiting on just them)
+    target.connected = false;
+    GameActions.continueIfAcknowledged(game);
+    return { removedId: targetId };
+  },
+
+  // Host starts another game with the same table once this one is over,
+  // optionally passing hosting to the next connected player in seating order.
+  rematch(game, playerId, rotateHost = false) {
+    const host = game.players.find(p => p.id === playerId);
+    if (!host || !host.isHost) throw new Error('Only the host can start a rematch');
+    if (game.phase !== GAME_PHASES.GAME_OVER) throw new Error('The game is not over yet');
+    let hostId = playerId;
+    if (rotateHost) {
+      const index = game.players.indexOf(host);
+      const next = [...game.players.slice(index + 1), ...game.players.slice(0, index)].find(p => p.connected && !p.bot);
+      if (next) hostId = next.id;
+    }
+    commit(game, 'rematch', { playerId, hostId });
+    return { hostId };
+  },
+
+  // The host wipes the scoreboard, say for a new evening with the same room
+  resetSeries(game, playerId) {
+    const host = game.players.find(p => p.id === playerId);
+    if (!host || !host.isHost) throw new Error('Only the host can reset the scoreboard');
+    if (game.series.length === 0) throw new Error('The scoreboard is already empty');
+    commit(game, 'resetSeries', { playerId });
+  },
+
+  // GameRoom calls this once the host has been disconnected for too long: the
+  // next connected player after the host, in seating order, takes over (never
+  // a bot).
+  // Returns null when nobody is connected to take over.
+  failoverHost(game) {
+    const index = game.players.findIndex(p => p.isHost);
+    const seats = [...game.players.slice(index + 1), ...game.players.slice(0, index)];
+    const next = seats.find(p => p.connected && !p.bot);
+    if (!next) return null;
+    commit(game, 'transferHost', { playerId: game.players[index].id, targetId: next.id, automatic: true });
+    return { hostId: next.id };
   }
 };
 
+// ============ Game Record & Replay ============
+
+const RECORD_FORMAT = 'mighty-men-game-record';
+const RECORD_VERSION = 1;
+
+// Everything about a finished game, for download: the seating with every role,
+// the options it was played with, and the full event log including quest
+// cards and Ephod results, plus how the trust markers shifted. Only available
+// after GAME_OVER, when roles are public anyway; individual team votes stay
+// out under the 'counts' variant.
+function buildGameRecord(game) {
+  if (game.phase !== GAME_PHASES.GAME_OVER) {
+    throw new Error('The game is not over yet');
+  }
+  return {
+    format: RECORD_FORMAT,
+    version: RECORD_VERSION,
+    code: game.code,
+    createdAt: game.createdAt,
+    endedAt: game.updatedAt,
+    options: game.options,
+    seed: game.seed ?? null,
+    players: game.players.map(p => ({ id: p.id, name: p.name, role: p.role, isHost: p.isHost })),
+    history: game.history.map(event => {
+      if (event.type === 'vote' && game.options.voteReveal === 'counts') {
+        const { votes, ...rest } = event;
+        return rest;
+      }
+      return event;
+    }),
+    markerHistory: game.markerHistory,
+    winner: game.winner,
+    winReason: game.winReason
+  };
+}
+
+// Each seat's part in a finished game: the side it played, whether it won, and
+// whether it was Saul's strike that landed. GameRoom credits player profiles
+// with these.
+function getPlayerResults(game) {
+  if (game.phase !== GAME_PHASES.GAME_OVER) {
+    throw new Error('The game is not over yet');
+  }
+  const strike = game.history.find(e => e.type === 'assassination');
+  return game.players.map(p => ({
+    playerId: p.id,
+    role: p.role,
+    side: isEvil(p.role) ? 'evil' : 'good',
+    won: isEvil(p.role) === (game.winner === 'evil'),
+    landedStrike: !!strike && strike.success && strike.assassinId === p.id
+  }));
+}
+
+function currentHostId(game) {
+  return game.players.find(p => p.isHost).id;
+}
+
+// Play one recorded event back through GameActions. Anything the rules refuse
+// throws; so does an outcome the record claims but the rules don't produce.
+function applyRecordedEvent(game, event) {
+  switch (event.type) {
+    case 'proposal':
+      GameActions.propose(game, event.leaderId, event.team);
+      break;
+
+    case 'vote': {
+      // Counts-only games never reveal who voted what, not even in the record,
+      // so the replay casts placeholder votes that give the same tally.
+      const votes = event.votes || Object.fromEntries(
+        game.players.map((p, i) => [p.id, i < event.approveCount])
+      );
+      for (const p of game.players) {
+        if (typeof votes[p.id] !== 'boolean') throw new Error(`No vote recorded for ${p.name}`);
+        GameActions.vote(game, p.id, votes[p.id]);
+      }
+      if (game.lastVoteResult.approved !== event.approved) {
+        throw new Error('The recorded vote outcome does not match the votes');
+      }
+      GameActions.continueFromVote(game, currentHostId(game));
+      break;
+    }
+
+    case 'quest':
+      for (const id of game.proposedTeam) {
+        const card = event.cards && event.cards[id];
+        if (typeof card !== 'boolean') throw new Error('Missing quest card');
+        GameActions.questVote(game, id, card);
+      }
+      if (game.questResults[game.questResults.length - 1].success !== event.success) {
+        throw new Error('The recorded quest outcome does not match the cards');
+      }
+      GameActions.continueFromQuest(game, currentHostId(game));
+      break;
+
+    case 'investigation':
+      GameActions.investigate(game, event.holderId, event.targetId);
+      break;
+
+    case 'assassination':
+      GameActions.assassinate(game, event.assassinId, event.targetId);
+      if (game.winner !== (event.success ? 'evil' : 'good')) {
+        throw new Error('The recorded assassination outcome does not match the roles');
+      }
+      break;
+
+    case 'gameOver':
+      if (game.phase !== GAME_PHASES.GAME_OVER || game.winner !== event.winner) {
+        throw new Error('The recorded winner does not match the game');
+      }
+      break;
+
+    case 'undo':
+      // The undone action is already missing from the history; nothing to do
+      break;
+
+    case 'host':
+    case 'substitute':
+      // Who hosted, or who sat in a seat, changes nothing the rules check
+      break;
+
+    case 'timeout':
+      // What the timeout played is in the events that follow it; only a lead
+      // passed on and a Saul who never struck leave nothing else behind
+      if ((event.phase === GAME_PHASES.TEAM_SELECTION && event.outcome === 'pass') ||
+          (event.phase === GAME_PHASES.ASSASSINATION && event.outcome === 'goodWins')) {
+        commit(game, 'timeout', { playerId: null, automatic: true, outcome: event.outcome });
+      }
+      break;
+
+    default:
+      throw new Error('Unknown event');
+  }
+}
+
+// One replay step: the recorded event and what the table looked like after it
+function replayStep(game, event) {
+  return {
+    event,
+    phase: game.phase,
+    currentQuest: game.currentQuest,
+    questResults: game.questResults.map(r => ({ success: r.success, failCount: r.failCount })),
+    questSizes: game.questSizes,
+    questFailRequirements: game.questFailRequirements,
+    leaderId: game.players[game.leaderIndex].id,
+    proposedTeam: [...game.proposedTeam],
+    rejectCount: game.rejectCount,
+    ephodHolderId: game.ephod ? game.ephod.holderId : null,
+    winner: game.winner,
+    winReason: game.winReason
+  };
+}
+
+// Re-derive a recorded game by playing its events back through GameActions, so
+// every proposal, vote, quest card and assassination is checked against the
+// rules instead of trusting the file. The recorded deal (roles, first leader,
+// first Ephod holder) is the one input taken as given, after checking it is a
+// legal deal for the table. Returns the players with their roles and one step
+// per event; throws, naming the event, if the record doesn't hold up.
+function replayGameRecord(record) {
+  if (!record || record.format !== RECORD_FORMAT || record.version !== RECORD_VERSION ||
+      !Array.isArray(record.players) || !Array.isArray(record.history) || record.players.length === 0) {
+    throw new Error('Not a game record');
+  }
+  const ids = record.players.map(p => p && p.id);
+  if (!ids.every(id => typeof id === 'string' && id) || new Set(ids).size !== ids.length) {
+    throw new Error('Invalid players in record');
+  }
+
+  // Seat everyone in the recorded order, under their recorded ids
+  const [first, ...others] = record.players;
+  const game = createGame(normalizeName(first.name));
+  if (!game.players[0].name) throw new Error('Invalid players in record');
+  game.code = String(record.code || 'REPLAY');
+  game.players[0].id = first.id;
+  for (const p of others) {
+    const { playerId } = GameActions.join(game, p.name);
+    game.players.find(x => x.id === playerId).id = p.id;
+  }
+  GameActions.setOptions(game, first.id, record.options || {});
+
+  // Deal, then swap in the recorded deal if it is a legal one
+  const start = record.history[0];
+  if (!start || start.type !== 'start') throw new Error('The record does not begin with the start of the game');
+  GameActions.start(game, first.id);
+  const dealt = record.players.map(p => p.role);
+  if (JSON.stringify([...dealt].sort()) !== JSON.stringify(game.players.map(p => p.role).sort())) {
+    throw new Error('The recorded roles are not a legal deal for this table');
+  }
+  game.players.forEach((p, i) => { p.role = dealt[i]; });
+  game.leaderIndex = game.players.findIndex(p => p.id === start.leaderId);
+  if (game.leaderIndex < 0) throw new Error('Unknown first leader');
+  if (game.ephod) {
+    if (!ids.includes(start.ephodHolderId)) throw new Error('Unknown first Ephod holder');
+    game.ephod.holderId = start.ephodHolderId;
+    game.ephod.pastHolderIds = [start.ephodHolderId];
+  }
+
+  const steps = [replayStep(game, start)];
+  record.history.slice(1).forEach((event, i) => {
+    try {
+      if (!event || typeof event !== 'object') throw new Error('Invalid event');
+      applyRecordedEvent(game, event);
+    } catch (e) {
+      throw new Error(`Event ${i + 2} (${event && event.type}): ${e.message}`);
+    }
+    steps.push(replayStep(game, event));
+  });
+  if (game.phase !== GAME_PHASES.GAME_OVER) {
+    throw new Error('The record ends before the game does');
+  }
+
+  return {
+    code: game.code,
+    players: game.players.map(p => ({ id: p.id, name: p.name, role: p.role })),
+    roleCatalog: getRoleCatalog(),
+    steps
+  };
+}
+
+// ============ Table Chat ============
+// For groups playing remotely. Chat is not part of the game: it stays out of
+// the event log, so undo, rebuilds and game records never touch it, and
+// GameRoom keeps the messages beside the log (at most CHAT_HISTORY_LIMIT).
+// Each message is on a channel: 'table' for everyone, or 'evil' for a whisper
+// among evil allies (see createWhisper). Channels count their own seq, so the
+// table's numbering has no gaps where whispers went. The count is kept apart
+// from the log (`lastSeq`, { [channel]: seq }): the log is trimmed, and the
+// numbers must never repeat, as clients tell messages apart by them.
+
+// Like normalizeName: one unicode form, no zero-width or control characters,
+// whitespace collapsed, and capped at CHAT_MAX_LENGTH
+function normalizeChatText(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .replace(/[\u200B-\u200D\uFEFF]/g, '')
+    .replace(/[\u0000-\u001F\u007F]/g, ' ')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .slice(0, CHAT_MAX_LENGTH);
+}
+
+// The checks every message goes through, whatever its channel; the rate limit
+// counts a sender's messages on all channels
+function chatMessage(log, lastSeq, player, channel, text, at) {
+  const clean = normalizeChatText(text);
+  if (!clean) throw new Error('Message is empty');
+  const recent = log.filter(m => m.playerId === player.id && at - m.at < CHAT_RATE_LIMIT.windowMs);
+  if (recent.length >= CHAT_RATE_LIMIT.messages) {
+    throw new Error('You are sending messages too quickly');
+  }
+  return { seq: (lastSeq[channel] || 0) + 1, channel, playerId: player.id, name: player.name, text: clean, at };
+}
+
+// A seated player's message, checked against the room's chat so far (`log`,
+// oldest first) and numbered after `lastSeq`; throws if it can't be sent. The
+// sender's name is kept with the message so it still reads right after they
+// leave.
+function createChatMessage(game, log, lastSeq, playerId, text, at = Date.now()) {
+  if (!game.options.chat) throw new Error('Chat is turned off for this game');
+  const player = game.players.find(p => p.id === playerId);
+  if (!player) throw new Error('Player not found');
+  return chatMessage(log, lastSeq, player, 'table', text, at);
+}
+
+// Who hears `senderId`'s whispers: the evil players whose knowledge includes
+// the sender. Good players who can see evil (Samuel) are never among them, nor
+// is anyone evil who is hidden from their allies (Doeg).
+function whisperRecipients(game, senderId) {
+  return game.players
+    .filter(p => p.id !== senderId && isEvil(p.role))
+    .filter(p => getPlayerKnowledge(game, p.id).sees.some(seen => seen.id === senderId))
+    .map(p => p.id);
+}
+
+// A whisper (options.evilWhisper) to the sender's evil allies, who are listed
+// in `to` as they were when it was sent: a rematch deals new roles, but the
+// whisper still only ever reaches those who heard it.
+function createWhisper(game, log, lastSeq, playerId, text, at = Date.now()) {
+  if (!game.options.evilWhisper) throw new Error('Evil whispers are not part of this game');
+  const player = game.players.find(p => p.id === playerId);
+  if (!player) throw new Error('Player not found');
+  const to = whisperRecipients(game, playerId);
+  if (to.length === 0) throw new Error('You have no allies to whisper to');
+  return { ...chatMessage(log, lastSeq, player, 'evil', text, at), to };
+}
+
+// Whether this player (or spectator) may read this message
+function canReadChat(message, viewerId) {
+  return message.channel !== 'evil' || message.playerId === viewerId || message.to.includes(viewerId);
+}
+
 // ============ Exports (ES module — imported by the Durable Object) ============
 
 export {
   GAME_PHASES,
   ROLES,
+  ROLE_REGISTRY,
   GOOD_ROLES,
   EVIL_ROLES,
+  OPTIONAL_ROLES,
   QUEST_SIZES,
   QUEST_FAIL_REQUIREMENTS,
+  QUEST_TABLES,
+  EPHOD_AFTER_QUESTS,
+  REJECT_LIMIT,
+  DEFAULT_OPTIONS,
+  BOT_NAMES,
+  MARKERS,
+  MARKER_CHANGES_PER_QUEST,
+  CHAT_MAX_LENGTH,
+  CHAT_RATE_LIMIT,
+  CHAT_HISTORY_LIMIT,
   TEAM_COMPOSITION,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  createRng,
   generateCode,
   generatePlayerId,
   normalizeName,
+  normalizeChatText,
+  createChatMessage,
+  createWhisper,
+  whisperRecipients,
+  canReadChat,
   shuffleArray,
+  registerRole,
+  appearanceTo,
+  hasAbility,
+  getRoleCatalog,
   isEvil,
+  questRulesFor,
+  getPublicHistory,
+  rebuildGame,
+  buildGameRecord,
+  replayGameRecord,
+  getPlayerResults,
+  resolveRoleSetup,
   assignRoles,
   getPlayerKnowledge,
   createGame,
@@ -6,28 +6,44 @@
 //     the game (secret roles are never sent to other players).
 //   - The Worker only routes: it creates games (with collision-free codes) and
 //     upgrades WebSocket connections to the right DO.
+//   - One `PlayerProfile` Durable Object per optional player profile keeps
+//     lifetime stats; GameRoom credits it when a game the profile played ends.
 //
 // See harness/DURABLE-OBJECTS-MIGRATION.md for the full rationale.
 
 import { DurableObject } from 'cloudflare:workers';
 import {
+  GAME_PHASES,
   createGame,
   getPublicGameState,
   getPlayerKnowledge,
   normalizeName,
+  createRng,
+  rebuildGame,
+  buildGameRecord,
+  replayGameRecord,
+  getPlayerResults,
+  getRoleCatalog,
+  createChatMessage,
+  createWhisper,
+  canReadChat,
+  CHAT_HISTORY_LIMIT,
   GameActions
 } from './game-logic.js';
+import { playBots } from './bots.js';
 
 const DEFAULT_EXPIRY_SECONDS = 24 * 60 * 60; // used if the env var is missing/invalid
+const DEFAULT_FAILOVER_SECONDS = 120;         // likewise
 const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
 const CODE_LENGTH = 4;
 
-// Cryptographically-random game code (no ambiguous chars).
-function generateGameCode() {
+// Cryptographically-random game code (no ambiguous chars), or drawn from
+// `rng` for a seeded dev game.
+function generateGameCode(rng = null) {
   const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
   let code = '';
   for (let i = 0; i < CODE_LENGTH; i++) {
-    code += CODE_CHARS[bytes[i] % CODE_CHARS.length];
+    code += CODE_CHARS[rng ? Math.floor(rng() * CODE_CHARS.length) : bytes[i] % CODE_CHARS.length];
   }
   return code;
 }
@@ -41,31 +57,112 @@ export class GameRoom extends DurableObject {
     super(ctx, env);
     this.game = null;        // authoritative game state (from game-logic.js)
     this.secrets = {};       // { [playerId]: token } — never sent to clients
+    this.profiles = {};      // { [playerId]: { id, key } } of linked player profiles, likewise
+    this.reportedGameId = null; // the last finished game credited to profiles
+    this.chat = [];          // the table chat, oldest first (see handleChat)
+    this.chatSeq = {};       // { [channel]: seq } of the last message, trimmed or not
     // Inactivity expiry, configurable via wrangler.toml [vars].
     const configured = Number(env.GAME_EXPIRY_SECONDS);
     this.expiryMs = (configured > 0 ? configured : DEFAULT_EXPIRY_SECONDS) * 1000;
+    // How long the host may be disconnected before another player is promoted
+    const failover = Number(env.HOST_FAILOVER_SECONDS);
+    this.failoverMs = (failover > 0 ? failover : DEFAULT_FAILOVER_SECONDS) * 1000;
+    this.expiresAt = null;     // when the inactivity alarm wipes the game
+    this.hostAwaySince = null; // when the host's last socket closed, if it has
     // Answer client heartbeat pings in the runtime itself, without waking the
     // hibernated DO. Clients use this to detect silently dead connections.
     ctx.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
-    // Load persisted state before handling any request.
+    // Load persisted state before handling any request: the game is rebuilt
+    // from its event log, and who's connected from the sockets still open.
     ctx.blockConcurrencyWhile(async () => {
-      this.game = (await ctx.storage.get('game')) || null;
+      const events = await ctx.storage.get('events');
+      this.game = events ? rebuildGame(events) : null;
       this.secrets = (await ctx.storage.get('secrets')) || {};
+      this.profiles = (await ctx.storage.get('profiles')) || {};
+      this.chat = (await ctx.storage.get('chat')) || [];
+      this.chatSeq = (await ctx.storage.get('chatSeq')) || {};
+      this.expiresAt = (await ctx.storage.get('expiresAt')) ?? null;
+      this.hostAwaySince = (await ctx.storage.get('hostAwaySince')) ?? null;
+      if (this.game) {
+        const attachments = ctx.getWebSockets().map((ws) => ws.deserializeAttachment()).filter(Boolean);
+        const live = new Set(attachments.map((att) => att.playerId));
+        for (const p of this.game.players) p.connected = !!p.bot || live.has(p.id);
+        this.game.spectators = attachments
+          .filter((att) => att.spectatorId)
+          .map((att) => ({ id: att.spectatorId, name: att.name }));
+        // Trust markers aren't events (see GameActions.mark), so they're kept apart
+        this.game.markers = (await ctx.storage.get('markers')) || {};
+        this.game.markerHistory = (await ctx.storage.get('markerHistory')) || [];
+      }
     });
   }
 
-  // Persist game + secrets atomically, and refresh the inactivity alarm.
+  // Persist the game's events + secrets atomically, restart the inactivity
+  // countdown, and note whether the host is still connected.
   async persist() {
-    await this.ctx.storage.put({ game: this.game, secrets: this.secrets });
-    await this.ctx.storage.setAlarm(Date.now() + this.expiryMs);
+    this.expiresAt = Date.now() + this.expiryMs;
+    const host = this.game.players.find((p) => p.isHost);
+    if (host.connected) this.hostAwaySince = null;
+    else if (this.hostAwaySince === null) this.hostAwaySince = Date.now();
+    await this.ctx.storage.put({
+      events: this.game.events,
+      secrets: this.secrets,
+      profiles: this.profiles,
+      chat: this.chat,
+      chatSeq: this.chatSeq,
+      markers: this.game.markers,
+      markerHistory: this.game.markerHistory,
+      expiresAt: this.expiresAt,
+      hostAwaySince: this.hostAwaySince
+    });
+    await this.scheduleAlarm();
+  }
+
+  // One alarm serves every deadline: inactivity expiry, a result screen's
+  // countdown and a turn timer, none of which runs while paused (resuming is
+  // activity, so expiry starts a full countdown again), and host failover,
+  // while the host is away and someone could take over. A paused game still
+  // expires once everyone has left it, so an abandoned one is wiped.
+  async scheduleAlarm() {
+    const deadlines = [];
+    if (!this.game.paused || this.abandoned()) deadlines.push(this.expiresAt);
+    if (!this.game.paused) {
+      if (this.game.resultDeadline !== null) deadlines.push(this.game.resultDeadline);
+      if (this.game.turnDeadline !== null) deadlines.push(this.game.turnDeadline);
+    }
+    if (this.hostAwaySince !== null && !this.abandoned()) {
+      deadlines.push(this.hostAwaySince + this.failoverMs);
+    }
+    if (deadlines.length) {
+      await this.ctx.storage.setAlarm(Math.min(...deadlines));
+    } else {
+      await this.ctx.storage.deleteAlarm();
+    }
+  }
+
+  // Nobody is at the table: every seat is empty or a bot (spectators don't
+  // count, watching isn't activity)
+  abandoned() {
+    return !this.game.players.some((p) => p.connected && !p.bot);
   }
 
   // ---- RPC: called by the Worker when a host creates a game ----
   // Returns { ok:false } if this code is already taken so the Worker can retry.
-  async createGame(hostName, code) {
+  // `options` (e.g. from a shared house-rule preset link) pre-fill the lobby;
+  // they go through the same validation as the host's setOptions action, and
+  // a bad value is returned as { ok:false, error } without creating the game.
+  // `seed` (dev only, checked by the Worker) makes the deal reproducible.
+  async createGame(hostName, code, options = null, seed = null) {
     if (this.game) return { ok: false };
-    this.game = createGame(hostName);
-    this.game.code = code; // use the Worker-assigned routing code
+    const game = createGame(hostName, { seed, code }); // code: the Worker-assigned routing code
+    if (options) {
+      try {
+        GameActions.setOptions(game, game.players[0].id, options);
+      } catch (e) {
+        return { ok: false, error: e.message };
+      }
+    }
+    this.game = game;
     const host = this.game.players[0];
     const token = crypto.randomUUID();
     this.secrets = { [host.id]: token };
@@ -73,6 +170,16 @@ export class GameRoom extends DurableObject {
     return { ok: true, code: this.game.code, playerId: host.id, token };
   }
 
+  // ---- RPC: the downloadable record of a finished game ----
+  async getRecord() {
+    if (!this.game) return { ok: false, status: 404, error: 'Game not found' };
+    try {
+      return { ok: true, record: buildGameRecord(this.game) };
+    } catch (e) {
+      return { ok: false, status: 409, error: e.message };
+    }
+  }
+
   // ---- WebSocket upgrade ----
   async fetch(request) {
     if (request.headers.get('Upgrade') !== 'websocket') {
@@ -101,6 +208,10 @@ export class GameRoom extends DurableObject {
     }
 
     const att = ws.deserializeAttachment();
+    if (att && att.spectatorId) {
+      this.send(ws, { type: 'error', message: msg.type === 'chat' ? "Spectators can't chat" : "Spectators can't play" });
+      return;
+    }
     if (!att || !att.playerId) {
       this.send(ws, { type: 'error', message: 'Send hello first' });
       return;
@@ -108,11 +219,19 @@ export class GameRoom extends DurableObject {
 
     if (msg.type === 'action') {
       await this.handleAction(ws, att.playerId, msg);
+    } else if (msg.type === 'chat') {
+      await this.handleChat(ws, att.playerId, msg);
     }
   }
 
   async webSocketClose(ws) {
     const att = ws.deserializeAttachment();
+    if (att && att.spectatorId && this.game) {
+      // Watching isn't activity: nothing to persist, just an updated list
+      GameActions.stopSpectating(this.game, att.spectatorId);
+      this.broadcast();
+      return;
+    }
     if (!att || !att.playerId || !this.game) return;
 
     // Only mark the player disconnected if they have no other live socket.
@@ -126,6 +245,8 @@ export class GameRoom extends DurableObject {
       const player = this.game.players.find((p) => p.id === att.playerId);
       if (player) {
         player.connected = false;
+        // They may have been the last one a result screen was waiting on
+        if (GameActions.continueIfAcknowledged(this.game)) playBots(this.game);
         await this.persist();
         this.broadcast();
       }
@@ -144,6 +265,11 @@ export class GameRoom extends DurableObject {
       return;
     }
 
+    if (msg.spectate) {
+      await this.handleSpectate(ws, msg);
+      return;
+    }
+
     let playerId = null;
     let token = null;
 
@@ -162,8 +288,9 @@ export class GameRoom extends DurableObject {
       // Canonicalize before storing or comparing, so "the same name" matches
       // across devices and keyboards (unicode forms, zero-width chars, spacing).
       const name = normalizeName(msg.name);
+      // Nobody can claim a bot's seat by name; the host hands it over instead.
       const existing = this.game.players.find(
-        (p) => normalizeName(p.name).toLowerCase() === name.toLowerCase()
+        (p) => !p.bot && normalizeName(p.name).toLowerCase() === name.toLowerCase()
       );
       if (existing) {
         // Reclaim an existing seat with just game code + name — works from ANY
@@ -195,6 +322,7 @@ export class GameRoom extends DurableObject {
       return;
     }
 
+    this.linkProfile(playerId, msg.profile);
     ws.serializeAttachment({ playerId });
     const player = this.game.players.find((p) => p.id === playerId);
     this.send(ws, {
@@ -206,13 +334,105 @@ export class GameRoom extends DurableObject {
 
     await this.persist();
     this.broadcast();
+    this.sendChatHistory(ws, playerId);
+  }
+
+  // ---- Player profiles ----
+  // A seat is linked to the first profile a hello for it brings, and stays
+  // linked through rematches. A profile is never a way into a game: seats are
+  // still claimed by token or name above, and a later hello (say, someone
+  // reclaiming the seat by name) can't move the link to another profile. The
+  // key isn't checked here but by the profile itself when credited.
+  linkProfile(playerId, profile) {
+    if (this.profiles[playerId] || !profile) return;
+    if (typeof profile.id !== 'string' || typeof profile.key !== 'string') return;
+    this.profiles[playerId] = { id: profile.id, key: profile.key };
+  }
+
+  // Once a game is over, credit each linked profile with its seat's result.
+  // Games are identified by room, creation time (codes are reused once a room
+  // expires) and rematch number, so a profile counts each one once even if a
+  // restarted GameRoom reports it again.
+  async reportResults() {
+    if (this.game.phase !== GAME_PHASES.GAME_OVER) return;
+    const gameId = `${this.game.code}-${this.game.createdAt}-${this.game.gameNumber}`;
+    if (this.reportedGameId === gameId) return;
+    this.reportedGameId = gameId;
+    const results = getPlayerResults(this.game).filter((r) => this.profiles[r.playerId]);
+    await Promise.all(results.map(async ({ playerId, ...result }) => {
+      const { id, key } = this.profiles[playerId];
+      try {
+        const stub = this.env.PLAYER_PROFILE.get(this.env.PLAYER_PROFILE.idFromName(id));
+        await stub.recordGame(key, { gameId, at: this.game.updatedAt, ...result });
+      } catch {
+        // A profile that can't be reached misses this game; the game goes on
+      }
+    }));
+  }
+
+  // ---- Spectators: a public view, no seat, no token ----
+  async handleSpectate(ws, msg) {
+    let spectatorId;
+    try {
+      spectatorId = GameActions.spectate(this.game, msg.name).spectatorId;
+    } catch (e) {
+      this.send(ws, { type: 'error', message: e.message });
+      ws.close(1000, 'Spectating rejected');
+      return;
+    }
+    ws.serializeAttachment({ spectatorId, name: normalizeName(msg.name) });
+    this.broadcast();
+    this.sendChatHistory(ws, spectatorId);
+  }
+
+  // ---- Table chat ----
+  // Players talk, everyone reads (spectators too). Each message is checked,
+  // sanitized and rate-limited by createChatMessage, kept with the game (the
+  // newest CHAT_HISTORY_LIMIT), and sent to every socket; a socket that joins
+  // later gets the chat so far right after its first state. A whisper
+  // (channel 'evil', see createWhisper) goes only to the sockets of the sender
+  // and the allies it names, now and in any later history.
+  async handleChat(ws, playerId, msg) {
+    let message;
+    try {
+      const create = msg.channel === 'evil' ? createWhisper : createChatMessage;
+      message = create(this.game, this.chat, this.chatSeq, playerId, msg.text);
+    } catch (e) {
+      this.send(ws, { type: 'error', message: e.message });
+      return;
+    }
+    this.chat = [...this.chat, message].slice(-CHAT_HISTORY_LIMIT);
+    this.chatSeq = { ...this.chatSeq, [message.channel]: message.seq };
+    await this.persist();
+    for (const other of this.ctx.getWebSockets()) {
+      const att = other.deserializeAttachment();
+      const viewerId = att && (att.playerId || att.spectatorId);
+      if (viewerId && canReadChat(message, viewerId)) this.send(other, { type: 'chat', messages: [message] });
+    }
+  }
+
+  sendChatHistory(ws, viewerId) {
+    this.send(ws, { type: 'chat', messages: this.chat.filter((m) => canReadChat(m, viewerId)), history: true });
+  }
+
+  // The host turned spectators off: everyone watching is shown out
+  dismissSpectators() {
+    for (const sock of this.ctx.getWebSockets()) {
+      const att = sock.deserializeAttachment();
+      if (att && att.spectatorId) {
+        GameActions.stopSpectating(this.game, att.spectatorId);
+        this.send(sock, { type: 'removed', message: 'The host closed the game to spectators.' });
+        sock.serializeAttachment(null);
+        try { sock.close(1000, 'Removed'); } catch { /* ignore */ }
+      }
+    }
   }
 
   // ---- Game actions ----
   async handleAction(ws, playerId, msg) {
     const data = msg.data || {};
-    let removedId = null;      // set when a player leaves/is kicked
-    let removedByHost = false; // true only for a kick (so we notify the removed one)
+    let removedId = null;      // set when a player leaves, is kicked or loses their seat
+    let removedMessage = null; // what the removed player is told (not when they left)
     try {
       switch (msg.action) {
         case 'start':
@@ -233,15 +453,56 @@ export class GameRoom extends DurableObject {
         case 'continueFromQuest':
           GameActions.continueFromQuest(this.game, playerId);
           break;
+        case 'investigate':
+          GameActions.investigate(this.game, playerId, data.targetId);
+          break;
         case 'assassinate':
           GameActions.assassinate(this.game, playerId, data.targetId);
           break;
+        case 'setOptions':
+          GameActions.setOptions(this.game, playerId, data.options);
+          if (!this.game.options.allowSpectators) this.dismissSpectators();
+          break;
         case 'leave':
           removedId = GameActions.leave(this.game, playerId).removedId;
           break;
         case 'kick':
           removedId = GameActions.kick(this.game, playerId, data.targetId).removedId;
-          removedByHost = true;
+          removedMessage = 'The host removed you from the game.';
+          break;
+        case 'substitute':
+          removedId = GameActions.substitute(this.game, playerId, data.targetId, data.name).removedId;
+          removedMessage = `The host gave your seat to ${this.game.players.find((p) => p.id === removedId).name}.`;
+          break;
+        case 'requestUndo':
+          GameActions.requestUndo(this.game, playerId);
+          break;
+        case 'respondUndo':
+          GameActions.respondUndo(this.game, playerId, data.accept === true);
+          break;
+        case 'pause':
+          GameActions.pause(this.game, playerId);
+          break;
+        case 'acknowledge':
+          GameActions.acknowledge(this.game, playerId);
+          break;
+        case 'mark':
+          GameActions.mark(this.game, playerId, data.targetId, data.marker ?? null);
+          break;
+        case 'transferHost':
+          GameActions.transferHost(this.game, playerId, data.targetId);
+          break;
+        case 'resume':
+          GameActions.resume(this.game, playerId);
+          break;
+        case 'rematch':
+          GameActions.rematch(this.game, playerId, data.rotateHost === true);
+          break;
+        case 'resetSeries':
+          GameActions.resetSeries(this.game, playerId);
+          break;
+        case 'addBot':
+          GameActions.addBot(this.game, playerId);
           break;
         default:
           throw new Error('Unknown action');
@@ -251,32 +512,42 @@ export class GameRoom extends DurableObject {
       return;
     }
 
+    // Revoke the removed player's token, in the same write as the event. A
+    // substituted seat lives on under the newcomer's name, so the old player
+    // can't reclaim it by name either.
+    if (removedId) {
+      delete this.secrets[removedId];
+      delete this.profiles[removedId];
+    }
+    playBots(this.game);
     await this.persist();
 
     if (removedId) {
-      delete this.secrets[removedId];
       // Notify + disconnect the removed player's sockets before broadcasting the
       // updated roster, so they don't briefly render a game they're no longer in.
+      // Detached first, so nothing more arrives from them as that seat.
       for (const sock of this.ctx.getWebSockets()) {
         const att = sock.deserializeAttachment();
         if (att && att.playerId === removedId) {
-          if (removedByHost) {
-            this.send(sock, { type: 'removed', message: 'The host removed you from the game.' });
+          if (removedMessage) {
+            this.send(sock, { type: 'removed', message: removedMessage });
           }
+          sock.serializeAttachment(null);
           try { sock.close(1000, 'Removed'); } catch { /* ignore */ }
         }
       }
     }
 
     this.broadcast();
+    await this.reportResults();
   }
 
   // ---- Broadcasting: each socket gets its OWN filtered view ----
   broadcast() {
     for (const ws of this.ctx.getWebSockets()) {
       const att = ws.deserializeAttachment();
-      if (!att || !att.playerId) continue;
-      this.sendState(ws, att.playerId);
+      if (!att || !(att.playerId || att.spectatorId)) continue;
+      this.sendState(ws, att.playerId || att.spectatorId);
     }
   }
 
@@ -284,7 +555,9 @@ export class GameRoom extends DurableObject {
     this.send(ws, {
       type: 'state',
       state: getPublicGameState(this.game, playerId),
-      knowledge: getPlayerKnowledge(this.game, playerId)
+      knowledge: getPlayerKnowledge(this.game, playerId),
+      // Lets clients show countdowns against the server's clock, not their own
+      serverTime: Date.now()
     });
   }
 
@@ -296,8 +569,25 @@ export class GameRoom extends DurableObject {
     }
   }
 
-  // ---- Inactivity cleanup (replaces KV TTL) ----
+  // ---- Host failover, countdowns, turn timers and inactivity cleanup (replaces KV TTL) ----
   async alarm() {
+    if (this.game) {
+      const now = Date.now();
+      const failedOver = this.hostAwaySince !== null && now >= this.hostAwaySince + this.failoverMs &&
+        GameActions.failoverHost(this.game);
+      const movedOn = GameActions.continueOnTimeout(this.game, now) || GameActions.timeOut(this.game, now);
+      if (movedOn) playBots(this.game);
+      if (failedOver || movedOn) {
+        await this.persist();
+        this.broadcast();
+        await this.reportResults();
+        return;
+      }
+      if ((this.game.paused && !this.abandoned()) || now < this.expiresAt) {
+        await this.scheduleAlarm();
+        return;
+      }
+    }
     for (const ws of this.ctx.getWebSockets()) {
       try {
         ws.close(1000, 'Game expired');
@@ -308,6 +598,69 @@ export class GameRoom extends DurableObject {
     await this.ctx.storage.deleteAll();
     this.game = null;
     this.secrets = {};
+    this.profiles = {};
+    this.chat = [];
+    this.chatSeq = {};
+  }
+}
+
+// ============================================================
+// Durable Object: one instance per player profile
+// ============================================================
+
+const RECENT_GAMES = 20; // kept per profile, newest first
+
+function emptyStats() {
+  return {
+    played: 0,
+    good: { played: 0, won: 0 },
+    evil: { played: 0, won: 0 },
+    samuel: 0,      // games dealt Samuel
+    strikes: 0      // Saul's strikes that found Samuel
+  };
+}
+
+// A name plus a secret key, which only the profile's own browser holds. Anyone
+// with the profile's id may read its stats; only GameRoom, passing on the key
+// a seat was linked with, can add to them.
+export class PlayerProfile extends DurableObject {
+  // ---- RPC: called by the Worker for POST /api/profile ----
+  async create(name, key) {
+    if (await this.ctx.storage.get('profile')) return { ok: false };
+    await this.ctx.storage.put('profile', {
+      name,
+      key,
+      createdAt: Date.now(),
+      stats: emptyStats(),
+      recent: [] // { gameId, at, role, side, won }
+    });
+    return { ok: true };
+  }
+
+  // ---- RPC: GameRoom credits a finished game ----
+  async recordGame(key, { gameId, at, role, side, won, landedStrike }) {
+    const profile = await this.ctx.storage.get('profile');
+    if (!profile || profile.key !== key) return { ok: false };
+    if (profile.recent.some((g) => g.gameId === gameId)) return { ok: true };
+    const { stats } = profile;
+    stats.played++;
+    stats[side].played++;
+    if (won) stats[side].won++;
+    if (role === 'samuel') stats.samuel++;
+    if (landedStrike) stats.strikes++;
+    profile.recent = [{ gameId, at, role, side, won }, ...profile.recent].slice(0, RECENT_GAMES);
+    await this.ctx.storage.put('profile', profile);
+    return { ok: true };
+  }
+
+  // ---- RPC: the public stats page (GET /api/profile) ----
+  async getStats() {
+    const profile = await this.ctx.storage.get('profile');
+    if (!profile) return null;
+    // The game ids only dedupe reports; they hold the room code, which would
+    // let anyone with a stats link into the room
+    const { key, recent, ...stats } = profile;
+    return { ...stats, recent: recent.map(({ gameId, ...game }) => game) };
   }
 }
 
@@ -325,11 +678,28 @@ async function handleCreate(request, env) {
   const name = normalizeName(body.name);
   if (!name) return jsonResponse({ error: 'Name is required' }, 400);
 
+  // Dev-only: a seed makes the code, deal and first leader reproducible (for
+  // tests and bug reports). Only honoured where ALLOW_DEV_SEED is set, i.e.
+  // `npm run dev`, never in a deployed game where it would make deals guessable.
+  const seed = body.seed ?? null;
+  let codeRng = null;
+  if (seed !== null) {
+    if (env.ALLOW_DEV_SEED !== 'true') {
+      return jsonResponse({ error: 'Seeded games are only available in development' }, 403);
+    }
+    try {
+      codeRng = createRng(seed);
+    } catch (e) {
+      return jsonResponse({ error: e.message }, 400);
+    }
+  }
+
   // Generate a unique code by asking each candidate DO to claim it.
   for (let attempt = 0; attempt < 12; attempt++) {
-    const code = generateGameCode();
+    const code = generateGameCode(codeRng);
     const stub = env.GAME_ROOM.get(env.GAME_ROOM.idFromName(code));
-    const result = await stub.createGame(name, code);
+    const result = await stub.createGame(name, code, body.options || null, seed);
+    if (result.error) return jsonResponse({ error: result.error }, 400);
     if (result.ok) {
       return jsonResponse({
         success: true,
@@ -342,6 +712,61 @@ async function handleCreate(request, env) {
   return jsonResponse({ error: 'Could not allocate a game code, try again' }, 503);
 }
 
+// Game record download (only once the game is over — see buildGameRecord).
+async function handleRecord(code, env) {
+  const stub = env.GAME_ROOM.get(env.GAME_ROOM.idFromName(code));
+  const result = await stub.getRecord();
+  if (!result.ok) return jsonResponse({ error: result.error }, result.status);
+  return new Response(JSON.stringify(result.record, null, 2), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Disposition': `attachment; filename="mighty-men-${code}.json"`
+    }
+  });
+}
+
+// Player profiles. Creating one returns its id (shareable: it is the stats
+// page's address) and its secret key, which the browser keeps and sends with
+// every hello so finished games are credited to it.
+const PROFILE_ID = /^[0-9a-f-]{36}$/;
+
+async function handleCreateProfile(request, env) {
+  let body = {};
+  try {
+    body = await request.json();
+  } catch {
+    /* empty body */
+  }
+  const name = normalizeName(body.name);
+  if (!name) return jsonResponse({ error: 'Name is required' }, 400);
+  const id = crypto.randomUUID();
+  const key = crypto.randomUUID();
+  const result = await env.PLAYER_PROFILE.get(env.PLAYER_PROFILE.idFromName(id)).create(name, key);
+  if (!result.ok) return jsonResponse({ error: 'Could not create the profile, try again' }, 503);
+  return jsonResponse({ success: true, profileId: id, key, name });
+}
+
+async function handleProfileStats(id, env) {
+  if (!PROFILE_ID.test(id)) return jsonResponse({ error: 'Profile not found' }, 404);
+  const stats = await env.PLAYER_PROFILE.get(env.PLAYER_PROFILE.idFromName(id)).getStats();
+  if (!stats) return jsonResponse({ error: 'Profile not found' }, 404);
+  return jsonResponse({ ...stats, roleCatalog: getRoleCatalog() });
+}
+
+// Replay an uploaded game record. Stateless: the record is re-derived through
+// the game rules (replayGameRecord) and the resulting steps returned.
+const MAX_RECORD_BYTES = 1024 * 1024;
+
+async function handleReplay(request) {
+  const text = await request.text();
+  if (text.length > MAX_RECORD_BYTES) return jsonResponse({ error: 'Record too large' }, 413);
+  try {
+    return jsonResponse(replayGameRecord(JSON.parse(text)));
+  } catch (e) {
+    return jsonResponse({ error: e instanceof SyntaxError ? 'Not a game record' : e.message }, 400);
+  }
+}
+
 function jsonResponse(obj, status = 200) {
   return new Response(JSON.stringify(obj), {
     status,
@@ -359,6 +784,24 @@ export default {
       return handleCreate(request, env);
     }
 
+    // Download a finished game's record; replay an uploaded one.
+    if (path === '/api/record' && request.method === 'GET') {
+      const code = (url.searchParams.get('code') || '').toUpperCase();
+      if (!code) return jsonResponse({ error: 'Missing game code' }, 400);
+      return handleRecord(code, env);
+    }
+    if (path === '/api/replay' && request.method === 'POST') {
+      return handleReplay(request);
+    }
+
+    // Create a player profile; read one's lifetime stats.
+    if (path === '/api/profile' && request.method === 'POST') {
+      return handleCreateProfile(request, env);
+    }
+    if (path === '/api/profile' && request.method === 'GET') {
+      return handleProfileStats(url.searchParams.get('id') || '', env);
+    }
+
     // WebSocket connection into a game's Durable Object.
     if (path === '/api/ws') {
       const code = (url.searchParams.get('code') || '').toUpperCase();
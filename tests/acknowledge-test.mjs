@@ -0,0 +1,144 @@
+// Acknowledge-to-continue (continueMode 'acknowledge'). Result screens move on
+// once every connected player has tapped "Got it", or when the ackSeconds
+// countdown runs out, so the host isn't a bottleneck. Verifies: the option is
+// validated; acknowledging is refused when the host continues; the screen
+// waits until every connected player has acknowledged, and someone leaving
+// can be what completes it; the countdown moves on with nobody tapping, and
+// that can't be undone; a pause stops the countdown; and the client's Got it
+// button, "waiting on" line and countdown.
+import WebSocket from 'ws';
+import { waitFor, joinClient } from './helpers.mjs';
+import { createGame, GameActions } from '../src/game-logic.js';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+async function expectError(p, action, data, pattern) {
+  p.errors = [];
+  act(p, action, data);
+  return waitFor(() => p.errors.some(e => pattern.test(e)));
+}
+
+async function newTable(options) {
+  const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice', options }) })).json();
+  const host = await connect(created.gameCode, { playerId: created.playerId, token: created.token });
+  const players = [host];
+  for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) { players.push(await connect(created.gameCode, { name: n })); await wait(40); }
+  await waitFor(() => host.state.playerCount === 6);
+  return { host, players, byId: (id) => players.find(p => p.identity.playerId === id) };
+}
+
+// Propose the first seats and approve it, landing on the vote result screen
+async function toVoteResult({ host, players, byId }) {
+  const s = host.state;
+  act(byId(s.players[s.leaderIndex].id), 'propose', { team: s.players.slice(0, s.questSizes[s.currentQuest]).map(p => p.id) });
+  await waitFor(() => host.state.phase === 'team_vote');
+  for (const p of players) act(p, 'vote', { approve: true });
+  await waitFor(() => host.state.phase === 'vote_result');
+}
+
+// ---- Host-continue games (the default) ----
+const plain = await newTable();
+check('results wait for the host by default', plain.host.state.options.continueMode === 'host');
+check('a countdown must be one of the choices', await expectError(plain.host, 'setOptions', { options: { ackSeconds: 20 } }, /ackSeconds/));
+act(plain.host, 'start');
+await waitFor(() => plain.players.every(p => p.knowledge));
+await toVoteResult(plain);
+check('no countdown when the host continues', plain.host.state.resultDeadline === null);
+check('acknowledging is refused', await expectError(plain.players[1], 'acknowledge', {}, /host continues/));
+for (const p of plain.players) p.ws.close();
+
+// ---- Everyone acknowledges ----
+const t = await newTable({ continueMode: 'acknowledge', ackSeconds: 15 });
+const [alice, bob, carl, dave, erin, fran] = t.players;
+act(alice, 'start');
+await waitFor(() => t.players.every(p => p.knowledge));
+await toVoteResult(t);
+const deadline = alice.state.resultDeadline;
+check('the result screen has a countdown', deadline > Date.now() + 10000 && deadline <= Date.now() + 15000);
+check('nobody has acknowledged yet', alice.state.acknowledged.length === 0);
+
+for (const p of [bob, carl, dave]) act(p, 'acknowledge');
+check('everyone sees who has acknowledged',
+  await waitFor(() => t.players.every(p => p.state.acknowledged?.length === 3)));
+check('acknowledging twice is refused', await expectError(bob, 'acknowledge', {}, /already/i));
+check('still on the result screen', alice.state.phase === 'vote_result');
+act(alice, 'acknowledge');
+act(erin, 'acknowledge');
+await waitFor(() => alice.state.acknowledged?.length === 5);
+check('one player short: still waiting', alice.state.phase === 'vote_result');
+fran.ws.close();
+check('Fran leaving completes it: on to the quest', await waitFor(() => alice.state.phase === 'quest'));
+check('the countdown is gone', alice.state.resultDeadline === null && alice.state.acknowledged === undefined);
+t.players[5] = await connect(alice.state.code, { playerId: fran.identity.playerId, token: fran.identity.token });
+
+// ---- The countdown runs out ----
+for (const id of alice.state.proposedTeam) act(t.byId(id), 'questVote', { success: true });
+await waitFor(() => alice.state.phase === 'quest_result');
+act(bob, 'acknowledge');
+const opened = Date.now();
+check('with nobody else tapping, the quest result moves on by itself',
+  await waitFor(() => alice.state.phase !== 'quest_result', { timeoutMs: 25000 }));
+check('...once the countdown is up', Date.now() - opened >= 12000);
+check('moving on by itself cannot be undone', /moved on by itself/.test(alice.state.undoTarget?.error || ''));
+for (const p of t.players) p.ws.close();
+
+// ---- A pause stops the countdown (game-logic.js alone) ----
+const local = createGame('Alice');
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) GameActions.join(local, n);
+GameActions.setOptions(local, local.players[0].id, { continueMode: 'acknowledge', ackSeconds: 30 });
+GameActions.start(local, local.players[0].id);
+GameActions.propose(local, local.players[local.leaderIndex].id, local.players.slice(0, 2).map(p => p.id));
+for (const p of local.players) GameActions.vote(local, p.id, true);
+const localDeadline = local.resultDeadline;
+GameActions.pause(local, local.players[0].id);
+check('no timeout while paused', GameActions.continueOnTimeout(local, localDeadline + 1000) === false);
+local.paused.at -= 5000; // as if the pause lasted five seconds
+GameActions.resume(local, local.players[0].id);
+check('resuming pushes the deadline back by the pause', local.resultDeadline >= localDeadline + 5000);
+
+// ============ Client rendering ============
+// A fresh table at its first vote result, Fran gone: Alice and Bob open it in a tab too
+
+const u = await newTable({ continueMode: 'acknowledge', ackSeconds: 30 });
+act(u.host, 'start');
+await waitFor(() => u.players.every(p => p.knowledge));
+await toVoteResult(u);
+u.players[5].ws.close();
+await waitFor(() => u.host.state.players[5].connected === false);
+const aliceTab = await joinClient(u.host.state.code, 'Alice');
+const bobTab = await joinClient(u.host.state.code, 'Bob');
+const $ = (w, x) => w.document.getElementById(x);
+check('Got it for a player who has not tapped it', await waitFor(() => $(bobTab, 'btn-acknowledge')) && !$(bobTab, 'btn-continue-vote'));
+check('waiting on the connected players only', $(bobTab, 'ack-waiting').textContent.includes('Waiting on 5 players: Alice, you, Carl, Dave, Erin'));
+check('the countdown is shown', /Moving on in (2\d|30)s/.test($(bobTab, 'ack-waiting').textContent));
+$(bobTab, 'btn-acknowledge').click();
+$(aliceTab, 'btn-acknowledge').click();
+check('after tapping: no Got it; the host can still continue', await waitFor(() =>
+  $(aliceTab, 'ack-waiting').textContent.includes('Waiting on 3 players: Carl, Dave, Erin')) &&
+  !$(aliceTab, 'btn-acknowledge') && !!$(aliceTab, 'btn-continue-vote') && !$(bobTab, 'btn-acknowledge'));
+for (const p of u.players) p.ws.close();
+for (const w of [aliceTab, bobTab]) w.close();
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -79,7 +79,7 @@ w.doAction('start');
 await wait(500);
 const stateNow = () => players.Carl.state; // any raw player's view
 const leaderId = stateNow().players[stateNow().leaderIndex].id;
-const team = stateNow().players.slice(0, 3).map(p => p.id);
+const team = stateNow().players.slice(0, stateNow().questSizes[0]).map(p => p.id);
 const leaderRaw = Object.values(players).find(p => p.identity?.playerId === leaderId);
 if (leaderRaw) act(leaderRaw, 'propose', { team });
 else w.doAction('propose', { team }); // Alice (host tab) is leader
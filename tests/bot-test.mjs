@@ -0,0 +1,207 @@
+// Bot players. The host seats bots from the lobby (action `addBot`); a bot is
+// an ordinary seat flagged `bot` that plays through GameActions, deciding from
+// the public state and its own getPlayerKnowledge() only (src/bots.js).
+// GameRoom lets the bots move after every change. Verifies: only the host, in
+// the lobby, with room at the table; bot names; bots never host; a person can
+// take over a bot's seat; many seeded games of one person and five bots all
+// finish, with evil bots failing quests sometimes, good bots never, and Saul
+// never striking an ally he knows; a Samuel bot rejects a team with evil he
+// sees on it; the log rebuilds a bot game; nobody claims a bot's seat by its
+// name; a full game against bots on the server, with the bots seated from the
+// host's tab; and, in that tab, the lobby's bot badge and host controls.
+import WebSocket from 'ws';
+import { waitFor, joinClient } from './helpers.mjs';
+import { createGame, rebuildGame, createRng, getPlayerKnowledge, isEvil, GameActions } from '../src/game-logic.js';
+import { chooseMove, playBots } from '../src/bots.js';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+const refusal = (fn) => { try { fn(); } catch (e) { return e.message; } return null; };
+
+async function expectError(p, action, data, pattern) {
+  p.errors = [];
+  act(p, action, data);
+  return waitFor(() => p.errors.some(e => pattern.test(e)));
+}
+
+// A seeded table of Alice and `bots` bots
+function botTable(seed, bots = 5) {
+  const game = createGame('Alice', { seed });
+  for (let i = 0; i < bots; i++) GameActions.addBot(game, game.players[0].id);
+  return game;
+}
+
+// Alice's turn, if she has one: she approves everything, plays Success, and
+// strikes at random
+function aliceMoves(game) {
+  const alice = game.players[0];
+  const rng = Math.random;
+  switch (game.phase) {
+    case 'team_selection':
+      if (game.players[game.leaderIndex].id === alice.id) {
+        GameActions.propose(game, alice.id, game.players.slice(0, game.questSizes[game.currentQuest]).map(p => p.id));
+      }
+      break;
+    case 'team_vote':
+      if (game.votes[alice.id] === undefined) GameActions.vote(game, alice.id, true);
+      break;
+    case 'vote_result':
+      GameActions.continueFromVote(game, alice.id);
+      break;
+    case 'quest':
+      if (game.proposedTeam.includes(alice.id) && game.questVotes[alice.id] === undefined) GameActions.questVote(game, alice.id, true);
+      break;
+    case 'quest_result':
+      GameActions.continueFromQuest(game, alice.id);
+      break;
+    case 'investigation':
+      if (game.ephod.holderId === alice.id) {
+        const targets = game.players.filter(p => !game.ephod.pastHolderIds.includes(p.id));
+        GameActions.investigate(game, alice.id, targets[Math.floor(rng() * targets.length)].id);
+      }
+      break;
+    case 'assassination':
+      GameActions.assassinate(game, alice.id, game.players[1 + Math.floor(rng() * (game.players.length - 1))].id);
+      break;
+  }
+}
+
+// ---- Seating bots ----
+const lobby = createGame('Alice');
+const { playerId: bobId } = GameActions.join(lobby, 'Abner');
+check('only the host can add bots', /only the host/i.test(refusal(() => GameActions.addBot(lobby, bobId)) || ''));
+GameActions.addBot(lobby, lobby.players[0].id);
+const bot = lobby.players.at(-1);
+check('a bot takes a seat, named after one of David\'s men not already taken',
+  bot.bot === true && bot.connected === true && bot.name === 'Joab');
+check('bots never host', /can't host/.test(refusal(() => GameActions.transferHost(lobby, lobby.players[0].id, bot.id)) || ''));
+for (let i = 0; i < 13; i++) GameActions.addBot(lobby, lobby.players[0].id);
+check('not once the table is full', /full/.test(refusal(() => GameActions.addBot(lobby, lobby.players[0].id)) || ''));
+GameActions.kick(lobby, lobby.players[0].id, bot.id);
+check('a bot is removed like any player', !lobby.players.some(p => p.id === bot.id));
+GameActions.start(lobby, lobby.players[0].id);
+check('not once the game has started', /lobby/.test(refusal(() => GameActions.addBot(lobby, lobby.players[0].id)) || ''));
+lobby.players[0].connected = false;
+check('failover skips bots', GameActions.failoverHost(lobby)?.hostId === bobId);
+GameActions.substitute(lobby, bobId, lobby.players[2].id, 'Gil');
+check('a person can take over a bot\'s seat', !lobby.players[2].bot && lobby.players[2].name === 'Gil');
+
+// ---- Many games against bots ----
+let finished = 0, evilCards = 0, evilFails = 0, goodFails = 0, strikes = 0, badStrikes = 0;
+for (let g = 0; g < 30; g++) {
+  const game = botTable(`bots-${g}`);
+  GameActions.start(game, game.players[0].id);
+  for (let turn = 0; turn < 200 && game.phase !== 'game_over'; turn++) {
+    playBots(game);
+    if (game.phase !== 'game_over') aliceMoves(game);
+  }
+  if (game.phase === 'game_over') finished++;
+  for (const event of game.history) {
+    if (event.type === 'quest') {
+      for (const [id, success] of Object.entries(event.cards)) {
+        const seat = game.players.find(p => p.id === id);
+        if (!seat.bot) continue;
+        if (isEvil(seat.role)) { evilCards++; if (!success) evilFails++; } else if (!success) goodFails++;
+      }
+    }
+    if (event.type === 'assassination' && game.players.find(p => p.id === event.assassinId).bot) {
+      strikes++;
+      const known = getPlayerKnowledge(game, event.assassinId).sees.map(s => s.id);
+      if (known.includes(event.targetId)) badStrikes++;
+    }
+  }
+  if (g === 0) check('the log rebuilds a game played by bots', JSON.stringify(rebuildGame(game.events)) === JSON.stringify(game));
+}
+check('every game against bots finishes', finished === 30);
+check('evil bots fail quests sometimes, not always', evilFails > 0 && evilFails < evilCards);
+check('good bots never fail a quest', goodFails === 0);
+check('Saul bots strike, never at an ally they know', strikes > 0 && badStrikes === 0);
+
+// ---- Bots go by their role's knowledge ----
+let samuelGame = null;
+for (let s = 0; !samuelGame; s++) {
+  const game = botTable(`samuel-${s}`);
+  GameActions.start(game, game.players[0].id);
+  const samuel = game.players.find(p => p.bot && p.role === 'samuel');
+  const seen = samuel && getPlayerKnowledge(game, samuel.id).sees.find(x => x.label === 'Evil');
+  if (seen) samuelGame = { game, samuel, seen };
+}
+{
+  const { game, samuel, seen } = samuelGame;
+  const others = game.players.filter(p => p.id !== seen.id && p.id !== samuel.id);
+  GameActions.propose(game, game.players[game.leaderIndex].id, [seen.id, ...others.map(p => p.id)].slice(0, game.questSizes[0]));
+  check('a Samuel bot rejects a team with evil he can see on it',
+    JSON.stringify(chooseMove(game, samuel.id, createRng(1))) === JSON.stringify({ action: 'vote', args: [false] }));
+}
+
+// ---- On the server ----
+const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice' }) })).json();
+const code = created.gameCode;
+const alice = await connect(code, { playerId: created.playerId, token: created.token });
+const carl = await connect(code, { name: 'Carl' });
+check('only the host can add bots over the wire', await expectError(carl, 'addBot', {}, /only the host/i));
+// Alice has the game open in a tab too, and seats the bots from it
+const aliceTab = await joinClient(code, 'Alice');
+const $ = (x) => aliceTab.document.getElementById(x);
+check('the host can add a bot', await waitFor(() => !$('host-controls').classList.contains('hidden')) && !$('btn-add-bot').disabled);
+for (let i = 1; i <= 4; i++) {
+  $('btn-add-bot').click();
+  await waitFor(() => alice.state.playerCount === 2 + i);
+}
+check('everyone sees the bots, always connected', await waitFor(() =>
+  carl.state.players.filter(p => p.bot && p.connected).length === 4 && carl.state.playerCount === 6));
+const botName = carl.state.players.find(p => p.bot).name;
+const claimed = await connect(code, { name: botName }).then(() => null, (e) => e.message);
+check("nobody can claim a bot's seat by its name", /taken/i.test(claimed || ''));
+const items = () => [...$('lobby-players').querySelectorAll('.player-item')];
+const carlItem = () => items().find(li => /Carl/.test(li.textContent));
+const botItems = () => items().filter(li => li.querySelector('.player-badge.bot')?.textContent === 'Bot');
+check('the lobby marks bots', await waitFor(() => botItems().length === 4) && !carlItem().querySelector('.player-badge.bot'));
+check('no Make host for a bot, but Remove', botItems().every(li => !li.querySelector('.make-host-btn') && li.querySelector('.kick-btn')) &&
+  !!carlItem().querySelector('.make-host-btn'));
+act(alice, 'start');
+await waitFor(() => alice.knowledge && carl.knowledge);
+check('bots are not offered hosting', await waitFor(() => !$('host-transfer').classList.contains('hidden')) &&
+  [...$('host-transfer-target').options].map(o => o.textContent).join() === 'Carl');
+aliceTab.close();
+const humans = [alice, carl];
+const me = (p) => p.state.players.find(x => x.id === p.identity.playerId);
+for (let step = 0; step < 200 && alice.state.phase !== 'game_over'; step++) {
+  const before = JSON.stringify(alice.state);
+  const s = alice.state;
+  for (const p of humans) {
+    const v = p.state;
+    if (v.phase === 'team_selection' && v.isLeader) act(p, 'propose', { team: v.players.slice(0, v.questSizes[v.currentQuest]).map(x => x.id) });
+    if (v.phase === 'team_vote' && v.hasVoted === false) act(p, 'vote', { approve: true });
+    if (v.phase === 'quest' && v.isOnTeam && v.hasQuestVoted === false) act(p, 'questVote', { success: true });
+    if (v.phase === 'assassination' && v.isAssassin) act(p, 'assassinate', { targetId: v.players.find(x => x.id !== me(p).id).id });
+  }
+  if (s.phase === 'vote_result') act(alice, 'continueFromVote');
+  if (s.phase === 'quest_result') act(alice, 'continueFromQuest');
+  await waitFor(() => JSON.stringify(alice.state) !== before, { timeoutMs: 3000 });
+}
+check('two people and four bots play a game to the end', alice.state.phase === 'game_over' && !!alice.state.winner);
+for (const p of humans) p.ws.close();
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,161 @@
+// Table chat for remote play. Players send {type:'chat', text}; GameRoom checks
+// it with createChatMessage (chat on, a seated player, not empty, not too
+// fast), cleans it up like a name, caps its length, keeps it with the game and
+// sends it to every socket. Verifies: on by default and off by the host's
+// lobby option; a newcomer (or a reconnecting player, or a spectator) gets the
+// chat so far; messages reach everyone, sanitized and capped; empty messages,
+// spectators and senders who are too quick are refused; chat stays out of the
+// game's log; numbering never restarts when old messages are trimmed; and the
+// client's panel, message list, unread count, Send and how much it keeps.
+import WebSocket from 'ws';
+import { waitFor, joinClient } from './helpers.mjs';
+import {
+  CHAT_HISTORY_LIMIT, CHAT_MAX_LENGTH, CHAT_RATE_LIMIT, createGame, normalizeChatText, createChatMessage, GameActions
+} from '../src/game-logic.js';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [], chat: null };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'chat') p.chat = m.history ? m.messages : [...(p.chat || []), ...m.messages];
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+const say = (p, text) => p.ws.send(JSON.stringify({ type: 'chat', text }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+async function expectChatError(p, text, pattern) {
+  p.errors = [];
+  say(p, text);
+  return waitFor(() => p.errors.some(e => pattern.test(e)));
+}
+const texts = (p) => (p.chat || []).map(m => m.text);
+
+// ---- Talking ----
+const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice' }) })).json();
+const code = created.gameCode;
+const alice = await connect(code, { playerId: created.playerId, token: created.token });
+const bob = await connect(code, { name: 'Bob' });
+check('chat is on by default', alice.state.options.chat === true);
+check('a newcomer gets the chat so far (none yet)', await waitFor(() => Array.isArray(bob.chat) && bob.chat.length === 0));
+
+say(alice, '  Hello\u200B   table\n');
+check('everyone gets the message, cleaned up, with who sent it', await waitFor(() => [alice, bob].every(p =>
+  p.chat.length === 1 && p.chat[0].text === 'Hello table' && p.chat[0].name === 'Alice' &&
+  p.chat[0].playerId === alice.identity.playerId && p.chat[0].seq === 1)));
+check('an empty message is refused', await expectChatError(bob, ' \u200B ', /empty/));
+say(bob, 'x'.repeat(CHAT_MAX_LENGTH + 50));
+check(`messages are capped at ${CHAT_MAX_LENGTH} characters`, await waitFor(() => alice.chat.at(-1)?.text.length === CHAT_MAX_LENGTH));
+
+const kim = await connect(code, { spectate: true, name: 'Kim' });
+check('a spectator reads the chat so far', await waitFor(() => texts(kim).length === 2 && texts(kim)[0] === 'Hello table'));
+check("...but can't post", await expectChatError(kim, 'hi all', /Spectators can't chat/));
+
+for (let i = 2; i <= CHAT_RATE_LIMIT.messages; i++) say(alice, `message ${i}`);
+check('a quick burst gets through up to the limit', await waitFor(() => texts(bob).includes(`message ${CHAT_RATE_LIMIT.messages}`)));
+check('one more is refused', await expectChatError(alice, 'one too many', /too quickly/));
+check('...and reaches nobody', !texts(bob).includes('one too many') && !texts(kim).includes('one too many'));
+check('the spectator read along', texts(kim).length === texts(bob).length);
+
+// ---- Kept with the game ----
+bob.ws.close();
+const bobAgain = await connect(code, { playerId: bob.identity.playerId, token: bob.identity.token });
+check('reconnecting brings back the whole chat', await waitFor(() => JSON.stringify(bobAgain.chat) === JSON.stringify(alice.chat)));
+check("chat stays out of the game's history", alice.state.history.length === 0);
+
+// ---- The host turns it off ----
+act(bobAgain, 'setOptions', { options: { chat: false } });
+check('only the host can turn chat off', await waitFor(() => bobAgain.errors.some(e => /only the host/i.test(e))));
+act(alice, 'setOptions', { options: { chat: false } });
+await waitFor(() => bobAgain.state.options.chat === false);
+check('with chat off, messages are refused', await expectChatError(bobAgain, 'anyone?', /turned off/));
+for (const p of [alice, bobAgain, kim]) p.ws.close();
+
+// ---- In game-logic.js alone ----
+check('sanitized like a name: one unicode form, no zero-width or control characters',
+  normalizeChatText('Café\u200D\tis\u0007 open ') === 'Café is open');
+const local = createGame('Alice', { seed: 'chat' });
+const host = local.players[0].id;
+let log = [];
+const seqs = { table: 0 };
+for (let i = 0; i < CHAT_RATE_LIMIT.messages; i++) {
+  log.push(createChatMessage(local, log, seqs, host, `m${i}`, 1000 + i));
+  seqs.table = log.at(-1).seq;
+}
+const tooSoon = (() => { try { createChatMessage(local, log, seqs, host, 'again', 1000 + CHAT_RATE_LIMIT.windowMs - 1); } catch (e) { return e.message; } })();
+check('the limit is per window', /too quickly/.test(tooSoon || '') &&
+  createChatMessage(local, log, seqs, host, 'again', 1000 + CHAT_RATE_LIMIT.windowMs + 5).seq === CHAT_RATE_LIMIT.messages + 1);
+check('a message is not an event', local.events.length === 1);
+const stranger = (() => { try { createChatMessage(local, log, seqs, 'nobody', 'hi'); } catch (e) { return e.message; } })();
+check('only seated players', /not found/.test(stranger || ''));
+GameActions.join(local, 'Bob');
+check('...and each has their own limit', createChatMessage(local, log, seqs, local.players[1].id, 'hi', 1001).name === 'Bob');
+// As GameRoom keeps it: the newest CHAT_HISTORY_LIMIT messages, and the count
+for (let i = 0; i < CHAT_HISTORY_LIMIT; i++) {
+  const message = createChatMessage(local, log, seqs, host, `n${i}`, 10 ** 6 + i * CHAT_RATE_LIMIT.windowMs);
+  log = [...log, message].slice(-CHAT_HISTORY_LIMIT);
+  seqs.table = message.seq;
+}
+check('numbering carries on past the messages trimmed away', log.length === CHAT_HISTORY_LIMIT &&
+  log.at(-1).seq === CHAT_RATE_LIMIT.messages + CHAT_HISTORY_LIMIT && new Set(log.map(m => m.seq)).size === log.length);
+
+// ============ Client rendering ============
+// A fresh table: Alice plays over the wire, Bob in a tab, and Kim watches in another
+
+const table = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice' }) })).json();
+const aliceWire = await connect(table.gameCode, { playerId: table.playerId, token: table.token });
+const bobTab = await joinClient(table.gameCode, 'Bob');
+const kimTab = await joinClient(table.gameCode, 'Kim', { spectate: true });
+const $ = (w, x) => w.document.getElementById(x);
+const hidden = (w, x) => $(w, x).classList.contains('hidden');
+check('a panel with chat on, to type in', !hidden(bobTab, 'chat-panel') && !hidden(bobTab, 'chat-form'));
+check('a spectator reads, with no box to type in', !hidden(kimTab, 'chat-panel') && hidden(kimTab, 'chat-form') &&
+  !hidden(kimTab, 'chat-spectator-note'));
+
+say(aliceWire, 'hi');
+await waitFor(() => aliceWire.chat?.length === 1);
+$(bobTab, 'chat-input').value = '  good luck  ';
+$(bobTab, 'btn-chat-send').click();
+$(bobTab, 'btn-chat-send').click();
+check('Send posts the message once and clears the box', await waitFor(() => texts(aliceWire).includes('good luck')) &&
+  $(bobTab, 'chat-input').value === '');
+say(aliceWire, '<b>bold</b> move');
+const items = () => [...$(bobTab, 'chat-log').querySelectorAll('li')];
+check('messages are listed with who sent them, as plain text', await waitFor(() => items().length === 3) &&
+  items().map(li => li.textContent).join('|') === 'Alice: hi|Bob: good luck|Alice: <b>bold</b> move' && !items()[2].querySelector('b'));
+check('your own messages are marked', items()[1].classList.contains('mine') && !items()[0].classList.contains('mine'));
+check('...and the spectator read them all', await waitFor(() => $(kimTab, 'chat-log').querySelectorAll('li').length === 3));
+check("others' messages count as unread while the panel is closed", $(bobTab, 'chat-unread').textContent === '2' &&
+  !hidden(bobTab, 'chat-unread'));
+$(bobTab, 'chat-panel').open = true;
+$(bobTab, 'chat-panel').dispatchEvent(new bobTab.Event('toggle'));
+check('opening the panel clears the count', hidden(bobTab, 'chat-unread'));
+// A long session: the tab keeps what the room keeps, once each
+const transport = bobTab.eval('transport');
+const burst = Array.from({ length: CHAT_HISTORY_LIMIT + 50 }, (_, i) =>
+  ({ seq: 100 + i, channel: 'table', playerId: 'zed', name: 'Zed', text: `z${i}`, at: 0 }));
+transport._handleMessage({ type: 'chat', messages: burst });
+transport._handleMessage({ type: 'chat', messages: [burst.at(-1)] });
+check(`the tab keeps the newest ${CHAT_HISTORY_LIMIT} messages, and none twice`, transport.getChat().length === CHAT_HISTORY_LIMIT &&
+  transport.getChat()[0].text === 'z50' && transport.getChat().at(-1).text === `z${CHAT_HISTORY_LIMIT + 49}`);
+act(aliceWire, 'setOptions', { options: { chat: false } });
+check('no panel with chat off', await waitFor(() => hidden(bobTab, 'chat-panel') && hidden(kimTab, 'chat-panel')));
+aliceWire.ws.close();
+for (const w of [bobTab, kimTab]) w.close();
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,123 @@
+// The Ephod (our Lady of the Lake): an optional token that, after quests 2, 3
+// and 4, lets its holder privately learn one player's allegiance before handing
+// the token to that player. Verifies the lobby option (host-only), who starts
+// with it, when the phase appears, the holder-only guard rails, and — most
+// importantly — that the result reaches the holder and nobody else.
+import WebSocket from 'ws';
+import { waitFor } from './helpers.mjs';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice' }) })).json();
+const code = created.gameCode;
+const host = await connect(code, { playerId: created.playerId, token: created.token });
+const players = [host];
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) { players.push(await connect(code, { name: n })); await wait(40); }
+check('6 players in lobby', await waitFor(() => host.state.playerCount === 6));
+const byId = (id) => players.find(p => p.identity.playerId === id);
+
+// ---- Lobby option ----
+check('Ephod is off by default', host.state.options.ephod === false);
+players[1].errors = [];
+act(players[1], 'setOptions', { options: { ephod: true } });
+check('non-host cannot change options', await waitFor(() => players[1].errors.some(e => /only the host/i.test(e))));
+host.errors = [];
+act(host, 'setOptions', { options: { bogus: true } });
+check('unknown option rejected', await waitFor(() => host.errors.some(e => /unknown option/i.test(e))));
+act(host, 'setOptions', { options: { ephod: 'yes' } });
+check('wrongly-typed option rejected', await waitFor(() => host.errors.some(e => /invalid value/i.test(e))));
+act(host, 'setOptions', { options: { ephod: true } });
+check('host enables the Ephod; everyone sees it', await waitFor(() => players.every(p => p.state.options.ephod === true)));
+
+act(host, 'start');
+check('game started', await waitFor(() => host.state.phase === 'team_selection'));
+
+// ---- Starting holder: the player seated just before the first leader ----
+const n = host.state.players.length;
+const expectedHolder = host.state.players[(host.state.leaderIndex - 1 + n) % n].id;
+check('Ephod starts with the player before the first leader', host.state.ephod.holderId === expectedHolder);
+check('starting holder is already a past holder', host.state.ephod.pastHolderIds.includes(expectedHolder));
+
+// Play one quest to completion (everyone approves, every card is Success).
+async function playSuccessfulQuest() {
+  const s = host.state;
+  const leader = byId(s.players[s.leaderIndex].id);
+  const team = s.players.slice(0, s.questSizes[s.currentQuest]).map(p => p.id);
+  act(leader, 'propose', { team });
+  await waitFor(() => host.state.phase === 'team_vote');
+  for (const p of players) act(p, 'vote', { approve: true });
+  await waitFor(() => host.state.phase === 'vote_result');
+  act(host, 'continueFromVote');
+  await waitFor(() => host.state.phase === 'quest');
+  for (const id of team) act(byId(id), 'questVote', { success: true });
+  await waitFor(() => host.state.phase === 'quest_result');
+  const before = host.state.questResults.length;
+  act(host, 'continueFromQuest');
+  await waitFor(() => host.state.phase !== 'quest_result' && host.state.questResults.length === before);
+}
+
+await playSuccessfulQuest();
+check('no Ephod after quest 1', host.state.phase === 'team_selection');
+
+await playSuccessfulQuest();
+check('Ephod phase after quest 2', await waitFor(() => host.state.phase === 'investigation'));
+
+const holder = byId(host.state.ephod.holderId);
+check('holder is told they hold the Ephod', await waitFor(() => holder.state.isEphodHolder === true));
+const bystander = players.find(p => p !== holder);
+check('others are not the holder', bystander.state.isEphodHolder === false);
+
+// ---- Guard rails ----
+const target = players.find(p => p !== holder && !host.state.ephod.pastHolderIds.includes(p.identity.playerId));
+bystander.errors = [];
+act(bystander, 'investigate', { targetId: target.identity.playerId });
+check('only the holder can investigate', await waitFor(() => bystander.errors.some(e => /only the ephod holder/i.test(e))));
+holder.errors = [];
+act(holder, 'investigate', { targetId: holder.identity.playerId });
+check('holder cannot investigate a past holder (themselves)', await waitFor(() => holder.errors.some(e => /already held/i.test(e))));
+check('still in the Ephod phase', host.state.phase === 'investigation');
+
+// ---- The investigation ----
+act(holder, 'investigate', { targetId: target.identity.playerId });
+check('back to team selection afterwards', await waitFor(() => host.state.phase === 'team_selection'));
+check('Ephod passes to the target', host.state.ephod.holderId === target.identity.playerId);
+check('target is now a past holder', host.state.ephod.pastHolderIds.includes(target.identity.playerId));
+
+await waitFor(() => holder.knowledge?.ephodResults?.length === 1);
+const result = holder.knowledge.ephodResults[0];
+check('holder learns about the target', result && result.id === target.identity.playerId);
+check("holder's result matches the target's true allegiance",
+  result && result.label === (target.knowledge.isEvil ? 'Evil' : 'Good'));
+
+// The result must reach nobody else — not the target, not the rest of the table,
+// and not the public state (which only records who checked whom).
+check('no one else receives an Ephod result',
+  players.filter(p => p !== holder).every(p => p.knowledge.ephodResults.length === 0));
+const check0 = host.state.ephod.checks[0];
+check('public state records the check', check0 && check0.holderId === holder.identity.playerId && check0.targetId === target.identity.playerId);
+check('public state never carries the result',
+  players.every(p => !/isEvil|"label"/.test(JSON.stringify(p.state.ephod))));
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
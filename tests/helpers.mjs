@@ -1,4 +1,7 @@
 // Shared test helpers.
+import { JSDOM } from 'jsdom';
+import WebSocket from 'ws';
+import fs from 'fs';
 
 // Poll until `predicate()` holds, or give up after `timeoutMs`. Returns a
 // boolean so it drops straight into an existing check():
@@ -26,3 +29,53 @@ export async function waitFor(predicate, { timeoutMs = 5000, intervalMs = 25 } =
     await new Promise((r) => setTimeout(r, intervalMs));
   }
 }
+
+// ---- The real client ----
+// public/index.html in jsdom, run as a browser tab would run it: ws-transport.js
+// inlined where the page loads it, the CDN script left out, and WebSocket and
+// fetch reaching the dev server. Alerts are collected in `window.alerts`;
+// confirms are accepted. `beforeParse(window)` can add to that; `path` opens
+// the page at a link (a query string, say) instead of the root.
+const BASE = 'http://localhost:8799';
+const ROOT = decodeURIComponent(new URL('..', import.meta.url).pathname).replace(/\/$/, '');
+const PAGE = fs.readFileSync(`${ROOT}/public/index.html`, 'utf8')
+  .replace('<script src="/ws-transport.js"></script>', `<script>${fs.readFileSync(`${ROOT}/public/ws-transport.js`, 'utf8')}</script>`)
+  .replace(/<script src="https:\/\/cdn[^"]*"><\/script>/, '');
+
+export async function openClient({ path = '/', beforeParse } = {}) {
+  const dom = new JSDOM(PAGE, {
+    runScripts: 'dangerously', url: `${BASE}${path}`,
+    beforeParse(w) {
+      w.WebSocket = WebSocket;
+      w.fetch = (u, o) => fetch(u.startsWith('http') ? u : BASE + u, o);
+      w.alerts = [];
+      w.alert = (m) => w.alerts.push(m);
+      w.confirm = () => true;
+      if (beforeParse) beforeParse(w);
+    }
+  });
+  await waitFor(() => dom.window.document.readyState === 'complete');
+  // Closing the tab takes its socket with it, as in a browser
+  const w = dom.window;
+  const close = w.close.bind(w);
+  w.close = () => {
+    w.eval('if (transport) transport.destroy()');
+    close();
+  };
+  return w;
+}
+
+// A tab that joins game `code` from the home screen as `name`: a new seat in
+// the lobby, or the seat already under that name (as from a second device).
+// With `spectate` it watches instead. Resolves once the tab has the game.
+export async function joinClient(code, name, { spectate = false, ...options } = {}) {
+  const w = await openClient(options);
+  w.document.getElementById('join-code').value = code;
+  w.document.getElementById('join-name').value = name;
+  if (spectate) w.spectateGame();
+  else w.joinGame();
+  if (!(await waitFor(() => w.eval('gameState && gameState.code') === code))) {
+    throw new Error(`${name} never got into ${code}: ${w.alerts.join('; ')}`);
+  }
+  return w;
+}
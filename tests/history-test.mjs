@@ -0,0 +1,130 @@
+// The append-only event log (state.history): every proposal with its leader,
+// each player's approve/reject, quest outcomes and the end of the game, in
+// order and identical for everyone. Verifies what is public (who voted what)
+// and what never is (who played which quest card, and individual votes under
+// the counts-only variant), plus how a tab at the table renders each event.
+import WebSocket from 'ws';
+import { waitFor, joinClient } from './helpers.mjs';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+async function newTable(options) {
+  const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(options ? { name: 'Host', options } : { name: 'Host' }) })).json();
+  const host = await connect(created.gameCode, { playerId: created.playerId, token: created.token });
+  const players = [host];
+  for (const n of ['P2', 'P3', 'P4', 'P5', 'P6']) { players.push(await connect(created.gameCode, { name: n })); await wait(40); }
+  await waitFor(() => host.state.playerCount === 6);
+  act(host, 'start');
+  await waitFor(() => host.state.phase === 'team_selection');
+  await waitFor(() => players.every(p => p.knowledge && p.knowledge.role));
+  return { host, players, byId: (id) => players.find(p => p.identity.playerId === id) };
+}
+const types = (state) => state.history.map(e => e.type).join(',');
+
+// ============ Open votes ============
+
+const t = await newTable();
+check('the log starts with the first leader', types(t.host.state) === 'start' &&
+  t.host.state.history[0].leaderId === t.host.state.players[t.host.state.leaderIndex].id);
+
+// Proposal 1 is rejected by everyone except its leader.
+const ids = t.host.state.players.map(p => p.id);
+const size = t.host.state.questSizes[0];
+const firstLeader = t.byId(ids[t.host.state.leaderIndex]);
+const firstTeam = ids.slice(0, size);
+act(firstLeader, 'propose', { team: firstTeam });
+await waitFor(() => t.host.state.phase === 'team_vote');
+for (const p of t.players) act(p, 'vote', { approve: p === firstLeader });
+await waitFor(() => t.host.state.phase === 'vote_result');
+act(t.host, 'continueFromVote');
+await waitFor(() => t.host.state.phase === 'team_selection' && t.host.state.rejectCount === 1);
+
+// Proposal 2 is approved, and the quest runs with every evil member failing.
+const secondLeader = t.byId(ids[t.host.state.leaderIndex]);
+const secondTeam = ids.slice(ids.length - size);
+act(secondLeader, 'propose', { team: secondTeam });
+await waitFor(() => t.host.state.phase === 'team_vote');
+for (const p of t.players) act(p, 'vote', { approve: true });
+await waitFor(() => t.host.state.phase === 'vote_result');
+act(t.host, 'continueFromVote');
+await waitFor(() => t.host.state.phase === 'quest');
+for (const id of secondTeam) act(t.byId(id), 'questVote', { success: !t.byId(id).knowledge.isEvil });
+check('quest resolves', await waitFor(() => t.host.state.phase === 'quest_result'));
+
+const log = t.host.state.history;
+check('events in order', types(t.host.state) === 'start,proposal,vote,proposal,vote,quest');
+const [, p1, v1, p2, v2, q1] = log;
+check('rejected proposal kept with its leader and team',
+  p1.quest === 0 && p1.attempt === 1 && p1.leaderId === firstLeader.identity.playerId && JSON.stringify(p1.team) === JSON.stringify(firstTeam));
+check("each player's vote on the rejected team is recorded",
+  !v1.approved && v1.approveCount === 1 && v1.votes[firstLeader.identity.playerId] === true &&
+  Object.keys(v1.votes).length === 6 && Object.entries(v1.votes).every(([id, v]) => v === (id === firstLeader.identity.playerId)));
+check('the second proposal is attempt 2 by the next leader',
+  p2.attempt === 2 && p2.leaderId === secondLeader.identity.playerId && v2.approved && v2.approveCount === 6);
+const evilOnTeam = secondTeam.filter(id => t.byId(id).knowledge.isEvil).length;
+check('quest outcome recorded', q1.quest === 0 && q1.failCount === evilOnTeam && q1.success === (evilOnTeam === 0) && q1.failsRequired === 1);
+check('who played which quest card is never public', t.players.every(p => p.state.history.every(e => !('cards' in e))));
+check('everyone sees the same log', t.players.every(p => JSON.stringify(p.state.history) === JSON.stringify(log)));
+check('timestamps on every event', log.every(e => typeof e.at === 'number'));
+
+// The log survives later phases (lastVoteResult is overwritten; history is not)
+act(t.host, 'continueFromQuest');
+await waitFor(() => t.host.state.phase === 'team_selection');
+check('history kept after moving on', t.host.state.history.length === 6 && !t.host.state.lastVoteResult);
+
+// ============ Counts-only votes stay secret in the log too ============
+
+const c = await newTable({ voteReveal: 'counts' });
+const cLeader = c.byId(c.host.state.players[c.host.state.leaderIndex].id);
+act(cLeader, 'propose', { team: c.host.state.players.slice(0, c.host.state.questSizes[0]).map(p => p.id) });
+await waitFor(() => c.host.state.phase === 'team_vote');
+for (const p of c.players) act(p, 'vote', { approve: true });
+await waitFor(() => c.host.state.phase === 'vote_result');
+const cVote = c.host.state.history.find(e => e.type === 'vote');
+check('counts-only: the tally is logged', cVote && cVote.approveCount === 6);
+check('counts-only: individual votes are not', c.players.every(p => p.state.history.every(e => !('votes' in e))));
+
+// ============ Client rendering ============
+// A tab at each table shows the log as the server sent it
+
+const lines = (w) => [...w.document.querySelectorAll('#history-log li')].map(li => li.textContent);
+const name = (id) => t.host.state.players.find(p => p.id === id).name;
+const tab = await joinClient(t.host.state.code, 'Kim', { spectate: true });
+check('the tab shows a line for every event', await waitFor(() => lines(tab).length === 6));
+const [, proposalLine, voteLine, , , questLine] = lines(tab);
+check('proposal line names quest, attempt, leader and team',
+  proposalLine === `Quest 1, proposal 1: ${name(p1.leaderId)} proposed ${firstTeam.map(name).join(', ')}`);
+check('vote line lists approvers and rejecters', voteLine.startsWith('Rejected 1–5') &&
+  voteLine.includes(`Approve: ${name(p1.leaderId)} · Reject: ${ids.filter(id => id !== p1.leaderId).map(name).join(', ')}`));
+check('quest line gives the fails and the requirement', questLine ===
+  `Quest 1 ${q1.success ? 'succeeded' : 'failed'} — ${evilOnTeam} Fail${evilOnTeam === 1 ? '' : 's'} from ${secondTeam.map(name).join(', ')} (1 needed to fail)`);
+const countsTab = await joinClient(c.host.state.code, 'Kim', { spectate: true });
+check('counts-only vote line shows just the tally',
+  await waitFor(() => lines(countsTab)[2] === 'Approved 6–0'));
+
+for (const table of [t, c]) for (const p of table.players) p.ws.close();
+for (const w of [tab, countsTab]) w.close();
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,118 @@
+// Host transfer and failover. The host can hand hosting to any connected
+// player, and when the host has been disconnected for HOST_FAILOVER_SECONDS
+// (run-all sets 3) the next connected player in seating order takes over.
+// Verifies: only the host can hand over, and only to someone connected; the
+// new host can do what only the host could and the old one no longer can; a
+// handover mid-game leaves a history line; failover waits for the deadline,
+// skips disconnected seats, and a returning host is an ordinary player; and
+// the client's Make host picker, notice and history lines.
+import WebSocket from 'ws';
+import { waitFor, joinClient } from './helpers.mjs';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+async function expectError(p, action, data, pattern) {
+  p.errors = [];
+  act(p, action, data);
+  return waitFor(() => p.errors.some(e => pattern.test(e)));
+}
+
+const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice' }) })).json();
+const code = created.gameCode;
+const alice = await connect(code, { playerId: created.playerId, token: created.token });
+const players = [alice];
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) { players.push(await connect(code, { name: n })); await wait(40); }
+await waitFor(() => alice.state.playerCount === 6);
+let [, bob, carl, dave] = players;
+const id = (p) => p.identity.playerId;
+const hostOf = (p) => p.state.players.find(x => x.isHost)?.id;
+const everyoneSees = (p) => waitFor(() => players.every(x => x.ws.readyState !== WebSocket.OPEN || hostOf(x) === id(p)));
+
+// ---- Handing over in the lobby ----
+check('only the host can hand over', await expectError(bob, 'transferHost', { targetId: id(bob) }, /only the host/i));
+act(alice, 'transferHost', { targetId: id(bob) });
+check('everyone sees Bob as host', await everyoneSees(bob));
+check('Bob now has the host controls, Alice does not', bob.state.isHost === true && alice.state.isHost === false);
+check('Alice can no longer start', await expectError(alice, 'start', {}, /host/i));
+
+dave.ws.close();
+await waitFor(() => bob.state.players.find(p => p.id === id(dave)).connected === false);
+check('no handing over to someone disconnected', await expectError(bob, 'transferHost', { targetId: id(dave) }, /not connected/));
+dave = players[3] = await connect(code, { playerId: id(dave), token: dave.identity.token });
+
+act(bob, 'start');
+check('the new host starts the game', await waitFor(() => players.every(p => p.knowledge)));
+
+// ---- Handing over mid-game ----
+act(bob, 'transferHost', { targetId: id(alice) });
+check('Alice is host again', await everyoneSees(alice));
+const line = alice.state.history.at(-1);
+check('the handover is in the history',
+  line.type === 'host' && line.playerId === id(alice) && line.previousId === id(bob) && line.automatic === false);
+check('Bob cannot pause any more', await expectError(bob, 'pause', {}, /only the host/i));
+
+// ---- Failover ----
+// Alice (seat 0) drops, and so does Bob (seat 1): Carl is next in line.
+bob.ws.close();
+await waitFor(() => carl.state.players.find(p => p.id === id(bob)).connected === false);
+const droppedAt = Date.now();
+alice.ws.close();
+check('Carl takes over once the host has been gone long enough',
+  await waitFor(() => hostOf(carl) === id(carl), { timeoutMs: 15000 }));
+check('...and not before the deadline', Date.now() - droppedAt >= 2500);
+check('everyone connected sees it', await everyoneSees(carl));
+const failover = carl.state.history.at(-1);
+check('the failover is in the history',
+  failover.type === 'host' && failover.automatic === true && failover.previousId === id(alice));
+
+const back = await connect(code, { playerId: id(alice), token: alice.identity.token });
+check('the old host comes back as a player', back.state.isHost === false && hostOf(back) === id(carl));
+act(carl, 'pause');
+check('the new host runs the table', await waitFor(() => back.state.paused?.by === id(carl)));
+// ============ Client rendering ============
+// Carl (the host now) and Dave open the game in a tab too
+
+const carlTab = await joinClient(code, 'Carl');
+const daveTab = await joinClient(code, 'Dave');
+const hidden = (w, x) => w.document.getElementById(x).classList.contains('hidden');
+const options = () => [...carlTab.document.getElementById('host-transfer-target').options].map(o => o.textContent);
+check('the host can hand over to connected players only', await waitFor(() => !hidden(carlTab, 'host-transfer')) &&
+  JSON.stringify(options()) === '["Alice","Dave","Erin","Fran"]');
+check('nobody else sees the picker', hidden(daveTab, 'host-transfer'));
+const lines = [...carlTab.document.querySelectorAll('#history-log li')].map(li => li.textContent);
+check('history line for a handover', lines.includes('Bob made Alice the host'));
+check('history line for a failover', lines.includes('Carl took over as host after Alice lost connection'));
+
+check('no notice for the first host seen', !daveTab.document.querySelector('.host-change-notice'));
+carlTab.document.getElementById('host-transfer-target').value = id(dave);
+carlTab.document.getElementById('btn-make-host').click();
+check('the new host is told', await waitFor(() =>
+  daveTab.document.querySelector('.host-change-notice')?.textContent === 'You are now the host'));
+check('...and everyone else too', await waitFor(() =>
+  carlTab.document.querySelector('.host-change-notice')?.textContent === 'Dave is now the host') && hidden(carlTab, 'host-transfer'));
+for (const p of [...players, back]) p.ws.close();
+for (const w of [carlTab, daveTab]) w.close();
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,198 @@
+// Trust markers. Once the game is dealt, a player can publicly mark another
+// {action:'mark', data:{targetId, marker}} as 'trusted' or 'suspected', or
+// take the marker off with null. Verifies: everyone (spectators too) sees the
+// markers in the public state, with a history of every change by quest and
+// phase; no markers in the lobby, on yourself, of unknown kinds or while
+// paused; a marker is no event, so it stays out of the log and the game's
+// history, and the host's undo neither takes it back nor loses it; changes per
+// quest are capped; the game record and rematches; and the client's badges in the team selector and vote
+// screens, the marker panel and the game-over summary.
+import WebSocket from 'ws';
+import { waitFor, joinClient } from './helpers.mjs';
+import {
+  MARKER_CHANGES_PER_QUEST, createGame, rebuildGame, buildGameRecord, GameActions
+} from '../src/game-logic.js';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+async function expectError(p, action, data, pattern) {
+  p.errors = [];
+  act(p, action, data);
+  return waitFor(() => p.errors.some(e => pattern.test(e)));
+}
+const refusal = (fn) => { try { fn(); } catch (e) { return e.message; } return ''; };
+
+const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice' }) })).json();
+const code = created.gameCode;
+const alice = await connect(code, { playerId: created.playerId, token: created.token });
+const players = [alice];
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin']) { players.push(await connect(code, { name: n })); await wait(40); }
+const [, bob, carl, dave, erin] = players;
+const kim = await connect(code, { spectate: true, name: 'Kim' });
+const id = (p) => p.identity.playerId;
+
+check('no markers in the lobby', await expectError(bob, 'mark', { targetId: id(carl), marker: 'suspected' }, /game in progress/));
+act(alice, 'start');
+await waitFor(() => players.every(p => p.state.phase === 'team_selection'));
+
+// ---- Marking ----
+const marks = [[bob, carl, 'suspected'], [dave, carl, 'suspected'], [carl, bob, 'trusted']];
+for (const [from, to, marker] of marks) {
+  act(from, 'mark', { targetId: id(to), marker });
+  await waitFor(() => from.state.markers[id(from)]?.[id(to)] === marker);
+}
+check('everyone sees who marked whom — spectators too', await waitFor(() => [...players, kim].every(p =>
+  p.state.markers[id(bob)]?.[id(carl)] === 'suspected' && p.state.markers[id(dave)]?.[id(carl)] === 'suspected' &&
+  p.state.markers[id(carl)]?.[id(bob)] === 'trusted')));
+check("you can't mark yourself", await expectError(bob, 'mark', { targetId: id(bob), marker: 'trusted' }, /yourself/));
+check('only trusted or suspected', await expectError(bob, 'mark', { targetId: id(dave), marker: 'traitor' }, /Unknown marker/));
+check('setting the same marker twice is refused', await expectError(bob, 'mark', { targetId: id(carl), marker: 'suspected' }, /already marked suspected/));
+check("spectators can't mark", await expectError(kim, 'mark', { targetId: id(carl), marker: 'trusted' }, /Spectators can't play/));
+
+act(dave, 'mark', { targetId: id(carl), marker: null });
+check('null takes a marker off', await waitFor(() => alice.state.markers[id(dave)] &&
+  !(id(carl) in alice.state.markers[id(dave)])));
+const changes = alice.state.markerHistory;
+check('every change is kept, with the quest and phase it was made in', changes.length === 4 &&
+  changes.every(c => c.quest === 0 && c.phase === 'team_selection') &&
+  changes[3].playerId === id(dave) && changes[3].marker === null);
+check("markers stay out of the game's history", alice.state.history.every(e => e.type === 'start'));
+
+// ---- Alongside the rules ----
+const leader = players.find(p => p.state.isLeader);
+act(leader, 'propose', { team: players.slice(0, alice.state.questSizes[0]).map(id) });
+await waitFor(() => alice.state.phase === 'team_vote');
+act(carl, 'mark', { targetId: id(dave), marker: 'trusted' });
+await waitFor(() => alice.state.markerHistory.length === 5);
+check("the host's undo skips over markers to the proposal", alice.state.undoTarget.action === 'propose');
+check('a marker set while voting says so', alice.state.markerHistory[4].phase === 'team_vote');
+act(alice, 'pause');
+await waitFor(() => bob.state.paused);
+check('no markers while paused', await expectError(bob, 'mark', { targetId: id(dave), marker: 'trusted' }, /paused/));
+act(alice, 'resume');
+await waitFor(() => !bob.state.paused);
+
+// ---- In game-logic.js alone ----
+const local = createGame('Alice', { seed: 'markers' });
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin']) GameActions.join(local, n);
+const [a, b, c] = local.players.map(p => p.id);
+GameActions.start(local, a);
+const logged = local.events.length;
+GameActions.mark(local, b, c, 'suspected');
+GameActions.mark(local, c, b, 'trusted');
+check('a marker is no event: the log stays as it was', local.events.length === logged &&
+  Object.keys(rebuildGame(local.events).markers).length === 0);
+const proposer = local.players[local.leaderIndex].id;
+GameActions.propose(local, proposer, local.players.slice(0, local.questSizes[0]).map(p => p.id));
+GameActions.mark(local, a, c, 'suspected');
+const before = JSON.stringify([local.markers, local.markerHistory]);
+if (!GameActions.requestUndo(local, a).undone) GameActions.respondUndo(local, proposer, true);
+check('an undo takes back the proposal and leaves the markers', local.phase === 'team_selection' &&
+  JSON.stringify([local.markers, local.markerHistory]) === before);
+for (let i = 1; i < MARKER_CHANGES_PER_QUEST; i++) GameActions.mark(local, b, c, i % 2 ? 'trusted' : 'suspected');
+check(`at most ${MARKER_CHANGES_PER_QUEST} changes a quest`,
+  /too often/.test(refusal(() => GameActions.mark(local, b, c, 'suspected'))) && GameActions.mark(local, c, a, 'trusted').success);
+
+// Five rejected teams end the game
+for (let round = 0; round < 5; round++) {
+  const leaderId = local.players[local.leaderIndex].id;
+  GameActions.propose(local, leaderId, local.players.slice(0, local.questSizes[0]).map(p => p.id));
+  for (const p of local.players) GameActions.vote(local, p.id, false);
+  GameActions.continueFromVote(local, a);
+}
+check('the game is over, and so is marking', local.phase === 'game_over' &&
+  /game in progress/.test(refusal(() => GameActions.mark(local, b, c, null))));
+check('the game record shows how the markers shifted',
+  JSON.stringify(buildGameRecord(local).markerHistory) === JSON.stringify(local.markerHistory));
+GameActions.rematch(local, a);
+check('a rematch starts with no markers', Object.keys(local.markers).length === 0 && local.markerHistory.length === 0);
+
+// ============ Client rendering ============
+// Back at the table, still voting on the first team: Bob in a tab, Lee watching in another
+
+const names = ['Alice', 'Bob', 'Carl', 'Dave', 'Erin'];
+const bobTab = await joinClient(code, 'Bob');
+const leeTab = await joinClient(code, 'Lee', { spectate: true });
+const $ = (w, x) => w.document.getElementById(x);
+const badges = (el) => [...el.querySelectorAll('.player-badge.trusted, .player-badge.suspected')].map(b => b.textContent).join();
+
+const teamBadge = [...$(bobTab, 'phase-content').querySelectorAll('.team-member-badge')].find(el => el.textContent.startsWith('Bob'));
+check('the vote screen badges the proposed team', badges(teamBadge) === 'Trusted 1');
+
+const item = (name) => [...$(bobTab, 'marker-list').querySelectorAll('li')].find(li => li.querySelector('.player-name').textContent.startsWith(name));
+check('the marker panel says who marked whom', item('Carl').querySelector('.marker-by').textContent === 'Suspected by Bob');
+check('...with Trust and Suspect for everyone but yourself',
+  !item('Bob').querySelector('button') && item('Carl').querySelectorAll('button').length === 2 &&
+  item('Carl').querySelector('button.active').dataset.marker === 'suspected');
+item('Dave').querySelector('button[data-marker="trusted"]').click();
+await waitFor(() => alice.state.markers[id(bob)]?.[id(dave)] === 'trusted');
+item('Carl').querySelector('button[data-marker="suspected"]').click();
+check('tapping a marker sets it; tapping your own again takes it off', await waitFor(() =>
+  alice.state.markers[id(bob)][id(dave)] === 'trusted' && !(id(carl) in alice.state.markers[id(bob)])));
+check('spectators read the markers with no buttons', await waitFor(() => $(leeTab, 'marker-list').querySelectorAll('li').length === 5) &&
+  !$(leeTab, 'marker-list').querySelector('button'));
+
+// The team is turned down; the next leader picks one
+for (const p of players) act(p, 'vote', { approve: false });
+await waitFor(() => alice.state.phase === 'vote_result');
+act(alice, 'continueFromVote');
+await waitFor(() => players.every(p => p.state.phase === 'team_selection'));
+const next = players.find(p => p.state.isLeader);
+const leaderTab = next === bob ? bobTab : await joinClient(code, names[players.indexOf(next)]);
+const row = (p) => $(leaderTab, 'phase-content').querySelector(`.team-player[data-id="${id(p)}"]`);
+check('the team selector badges each name with its markers', await waitFor(() => row(dave)) &&
+  badges(row(dave)) === 'Trusted 2' && badges(row(bob)) === 'Trusted 1' && badges(row(carl)) === '');
+act(alice, 'mark', { targetId: id(carl), marker: 'suspected' });
+check('...and keeps them current', await waitFor(() => badges(row(carl)) === 'Suspected 1'));
+
+// Three quests won, then one more change before Saul strikes
+for (let quest = 0; quest < 3; quest++) {
+  const proposer = players.find(p => p.state.isLeader);
+  const team = players.slice(0, alice.state.questSizes[quest]);
+  act(proposer, 'propose', { team: team.map(id) });
+  await waitFor(() => players.every(p => p.state.phase === 'team_vote'));
+  for (const p of players) act(p, 'vote', { approve: true });
+  await waitFor(() => alice.state.phase === 'vote_result');
+  act(alice, 'continueFromVote');
+  await waitFor(() => players.every(p => p.state.phase === 'quest'));
+  for (const p of team) act(p, 'questVote', { success: true });
+  await waitFor(() => alice.state.phase === 'quest_result');
+  act(alice, 'continueFromQuest');
+  await waitFor(() => players.every(p => p.state.phase !== 'quest_result'));
+}
+await waitFor(() => alice.state.phase === 'assassination');
+act(erin, 'mark', { targetId: id(carl), marker: 'trusted' });
+await waitFor(() => alice.state.markerHistory.at(-1).phase === 'assassination');
+const saul = players.find(p => p.knowledge.role === 'saul');
+act(saul, 'assassinate', { targetId: id(players.find(p => !p.knowledge.isEvil)) });
+const lines = () => [...$(leeTab, 'marker-history').querySelectorAll('li')].map(li => li.textContent);
+check('the game-over summary groups the changes by quest', await waitFor(() => lines().length === 2) &&
+  lines()[0] === 'Quest 1: Bob suspected Carl · Dave suspected Carl · Carl trusted Bob · Dave took their marker off Carl · ' +
+    'Carl trusted Dave · Bob trusted Dave · Bob took their marker off Carl · Alice suspected Carl' &&
+  lines()[1] === "Before Saul's strike: Erin trusted Carl");
+for (const p of [...players, kim]) p.ws.close();
+for (const w of new Set([bobTab, leeTab, leaderTab])) w.close();
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
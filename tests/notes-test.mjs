@@ -0,0 +1,140 @@
+// Private notebook (client only). Each player tags the others and writes
+// notes in a panel on the game screen; nothing reaches the server. Verifies:
+// a notebook is kept in localStorage under the game code and the seat's id,
+// and comes back after a refresh; each seat has its own; a state update never
+// wipes a note being typed; Clear empties it; only the most recent notebooks
+// are kept; spectators get no notebook; and the per-player summary built from
+// the public history (teams led, votes, quests, failed teams backed), which
+// leaves votes out when the table only sees counts.
+import WebSocket from 'ws';
+import { waitFor, joinClient } from './helpers.mjs';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+const id = (p) => p.identity.playerId;
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+// ---- A five-player table where an evil player goes on the first quest and fails it ----
+const NAMES = ['Alice', 'Bob', 'Carl', 'Dave', 'Erin'];
+async function playFailedQuest(options = {}) {
+  const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice' }) })).json();
+  const code = created.gameCode;
+  const host = await connect(code, { playerId: created.playerId, token: created.token });
+  const players = [host];
+  for (const n of NAMES.slice(1)) { players.push(await connect(code, { name: n })); await wait(40); }
+  act(host, 'setOptions', { options });
+  await waitFor(() => players.every(p => p.state.playerCount === 5 &&
+    Object.entries(options).every(([k, v]) => p.state.options[k] === v)));
+  act(host, 'start');
+  await waitFor(() => players.every(p => p.knowledge));
+
+  const leader = players.find(p => p.state.isLeader);
+  const traitor = players.find(p => p.knowledge.isEvil && p !== leader) || players.find(p => p.knowledge.isEvil);
+  const team = [traitor, players.find(p => p !== traitor && !p.knowledge.isEvil)];
+  const rejecter = players.find(p => p !== leader && !team.includes(p));
+  act(leader, 'propose', { team: team.map(id) });
+  await waitFor(() => players.every(p => p.state.phase === 'team_vote'));
+  for (const p of players) act(p, 'vote', { approve: p !== rejecter });
+  await waitFor(() => host.state.phase === 'vote_result');
+  act(host, 'continueFromVote');
+  await waitFor(() => players.every(p => p.state.phase === 'quest'));
+  for (const p of team) act(p, 'questVote', { success: p !== traitor });
+  await waitFor(() => host.state.phase === 'quest_result');
+  act(host, 'continueFromQuest');
+  await waitFor(() => players.every(p => p.state.phase === 'team_selection'));
+  const me = players.find(p => p !== traitor && p !== rejecter && p !== leader);
+  return { code, players, leader, traitor, rejecter, me, nameOf: (p) => NAMES[players.indexOf(p)] };
+}
+
+const table = await playFailedQuest();
+const { code, players, leader, traitor, rejecter, me, nameOf } = table;
+let w = await joinClient(code, nameOf(me));
+const $ = (x) => w.document.getElementById(x);
+const item = (p) => $('notes-list').querySelector(`.notes-item[data-id="${id(p)}"]`);
+function type(p, field, value) {
+  const el = item(p).querySelector(`[data-field="${field}"]`);
+  el.value = value;
+  el.dispatchEvent(new w.Event('input', { bubbles: true }));
+}
+const stored = () => JSON.parse(w.localStorage.getItem('mightymen_notes') || '{}');
+// A refresh, or another seat in this browser: a new tab with the same localStorage
+async function reopen(p) {
+  const saved = w.localStorage.getItem('mightymen_notes');
+  w.close();
+  w = await joinClient(code, nameOf(p), { beforeParse(tab) { if (saved) tab.localStorage.setItem('mightymen_notes', saved); } });
+}
+
+// ---- Summaries ----
+check('a row for every other player, none for yourself',
+  $('notes-list').querySelectorAll('.notes-item').length === 4 && !item(me));
+const summary = (p, tab = w) => tab.document.querySelector(`#notes-list .notes-item[data-id="${id(p)}"] .notes-summary`).textContent;
+check("the leader's summary counts the team they led and their vote",
+  summary(leader).startsWith('Led 1 · approved 1, rejected 0'));
+check('a player on the failed quest shows it', summary(traitor).includes('on 1 quest (1 failed)'));
+check('approving a team that failed counts against you', summary(traitor).endsWith('backed 1 failed team'));
+check('...but not for whoever rejected it', summary(rejecter) === 'Led 0 · approved 0, rejected 1 · on 0 quests (0 failed) · backed 0 failed teams');
+
+const counts = await playFailedQuest({ voteReveal: 'counts' });
+const countsTab = await joinClient(counts.code, counts.nameOf(counts.me));
+check('with counts-only votes, the summary leaves votes out', summary(counts.rejecter, countsTab) === 'Led 0 · on 0 quests (0 failed)');
+for (const p of counts.players) p.ws.close();
+countsTab.close();
+
+// ---- Writing ----
+type(traitor, 'tags', 'likelyEvil');
+type(traitor, 'notes', 'Failed quest 1?');
+const key = `${code}:${id(me)}`;
+check('notes are kept under the game code and your seat',
+  stored()[key].tags[id(traitor)] === 'likelyEvil' && stored()[key].notes[id(traitor)] === 'Failed quest 1?');
+type(rejecter, 'notes', 'quiet so far');
+const markers = () => w.eval('JSON.stringify(gameState.markers)');
+const before = markers();
+act(leader, 'mark', { targetId: id(traitor), marker: 'suspected' });
+check('a state update leaves a note being typed alone', await waitFor(() => markers() !== before) &&
+  item(rejecter).querySelector('textarea').value === 'quiet so far');
+type(rejecter, 'notes', '');
+check('an emptied note is dropped', !(id(rejecter) in stored()[key].notes));
+
+await reopen(me);
+check('after a refresh your notes come back', item(traitor).querySelector('textarea').value === 'Failed quest 1?' &&
+  item(traitor).querySelector('select').value === 'likelyEvil');
+await reopen(traitor);
+check('another seat in this browser gets its own notebook', item(me).querySelector('textarea').value === '' &&
+  [...$('notes-list').querySelectorAll('textarea')].every(t => t.value === ''));
+
+await reopen(me);
+$('btn-clear-notes').click();
+check('Clear empties your notebook', !(key in stored()) && item(traitor).querySelector('textarea').value === '');
+
+// ---- Housekeeping ----
+w.localStorage.setItem('mightymen_notes', JSON.stringify(Object.fromEntries(
+  Array.from({ length: 25 }, (_, i) => [`OLD${i}:x`, { tags: {}, notes: { x: 'old' }, updatedAt: i }]))));
+type(traitor, 'notes', 'new game');
+check('only the 20 most recent notebooks are kept', Object.keys(stored()).length === 20 &&
+  key in stored() && !('OLD0:x' in stored()) && 'OLD24:x' in stored());
+const kimTab = await joinClient(code, 'Kim', { spectate: true });
+check('spectators get no notebook', kimTab.document.getElementById('notes-panel').classList.contains('hidden'));
+for (const p of players) p.ws.close();
+for (const tab of [w, kimTab]) tab.close();
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
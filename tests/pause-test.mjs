@@ -0,0 +1,117 @@
+// Host pause/resume. While paused every in-game action is refused with a
+// "paused" error and every client shows an overlay; the inactivity alarm is
+// cleared (not observable here). Verifies: only the host pauses, and only a
+// game in progress; proposals, votes and quest cards are refused while
+// paused; resume lets play carry on where it stopped; pausing leaves no line
+// in the history; the overlay shows for everyone with Resume for the host only.
+import WebSocket from 'ws';
+import { waitFor, joinClient } from './helpers.mjs';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+async function expectError(p, action, data, pattern) {
+  p.errors = [];
+  act(p, action, data);
+  return waitFor(() => p.errors.some(e => pattern.test(e)));
+}
+
+const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice' }) })).json();
+const code = created.gameCode;
+const host = await connect(code, { playerId: created.playerId, token: created.token });
+const players = [host];
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) { players.push(await connect(code, { name: n })); await wait(40); }
+await waitFor(() => host.state.playerCount === 6);
+const byId = (id) => players.find(p => p.identity.playerId === id);
+const bob = players[1];
+
+check('a lobby cannot be paused', await expectError(host, 'pause', {}, /game in progress/));
+
+act(host, 'start');
+await waitFor(() => players.every(p => p.knowledge));
+const leader = () => byId(host.state.players[host.state.leaderIndex].id);
+const team = () => host.state.players.slice(0, host.state.questSizes[host.state.currentQuest]).map(p => p.id);
+
+// ---- Pausing ----
+check('only the host can pause', await expectError(bob, 'pause', {}, /only the host/i));
+check('nobody sees a pause yet', players.every(p => p.state.paused === null));
+act(host, 'pause');
+check('everyone sees the game paused, by the host',
+  await waitFor(() => players.every(p => p.state.paused?.by === host.identity.playerId && p.state.paused.byName === 'Alice')));
+check('pausing twice is refused', await expectError(host, 'pause', {}, /already paused/));
+check('a proposal is refused while paused', await expectError(leader(), 'propose', { team: team() }, /paused/));
+check('still choosing a team', host.state.phase === 'team_selection');
+check('the host cannot undo while paused', await expectError(host, 'requestUndo', {}, /paused/));
+check('only the host can resume', await expectError(bob, 'resume', {}, /only the host/i));
+
+act(host, 'resume');
+check('resumed for everyone', await waitFor(() => players.every(p => p.state.paused === null)));
+check('resuming twice is refused', await expectError(host, 'resume', {}, /not paused/));
+
+// ---- Votes and quest cards are frozen too ----
+act(leader(), 'propose', { team: team() });
+check('play carries on after resuming', await waitFor(() => host.state.phase === 'team_vote'));
+act(host, 'pause');
+await waitFor(() => host.state.paused);
+check('a vote is refused while paused', await expectError(bob, 'vote', { approve: true }, /paused/));
+check('the refused vote was not counted', !host.state.votedPlayers?.includes(bob.identity.playerId));
+act(host, 'resume');
+await waitFor(() => host.state.paused === null);
+for (const p of players) act(p, 'vote', { approve: true });
+await waitFor(() => host.state.phase === 'vote_result');
+act(host, 'continueFromVote');
+await waitFor(() => host.state.phase === 'quest');
+act(host, 'pause');
+await waitFor(() => host.state.paused);
+const member = byId(host.state.proposedTeam[0]);
+check('a quest card is refused while paused', await expectError(member, 'questVote', { success: true }, /paused/));
+act(host, 'resume');
+await waitFor(() => host.state.paused === null);
+act(member, 'questVote', { success: true });
+check('the card counts once resumed', await waitFor(() => host.state.questVotedPlayers?.includes(member.identity.playerId)));
+
+check('pausing leaves no line in the history', host.state.history.every(e => !/pause|resume/.test(e.type)));
+const again = await connect(code, { playerId: bob.identity.playerId, token: bob.identity.token });
+check('a fresh connection sees the same game', again.state.paused === null && again.state.phase === 'quest');
+// ============ Client rendering ============
+// Alice and Bob open the game in a tab too (as on a second device)
+
+const aliceTab = await joinClient(code, 'Alice');
+const bobTab = await joinClient(code, 'Bob');
+const shown = (w, id) => !w.document.getElementById(id).classList.contains('hidden');
+check('the host sees Pause, no overlay', await waitFor(() => shown(aliceTab, 'btn-pause')) && !shown(aliceTab, 'paused-overlay'));
+check('others have no Pause button', await waitFor(() => shown(bobTab, 'screen-game')) && !shown(bobTab, 'btn-pause'));
+aliceTab.document.getElementById('btn-pause').click();
+check('others see the overlay, naming who paused, without Resume',
+  await waitFor(() => shown(bobTab, 'paused-overlay')) &&
+  /Alice paused the game/.test(bobTab.document.getElementById('paused-by').textContent) && !shown(bobTab, 'btn-resume'));
+check('the host sees the overlay with Resume',
+  await waitFor(() => shown(aliceTab, 'paused-overlay')) && shown(aliceTab, 'btn-resume') && !shown(aliceTab, 'btn-pause'));
+aliceTab.document.getElementById('btn-resume').click();
+check('Resume takes the overlay away for everyone',
+  await waitFor(() => !shown(aliceTab, 'paused-overlay') && !shown(bobTab, 'paused-overlay')) && host.state.paused === null);
+for (const p of [...players, again]) p.ws.close();
+for (const w of [aliceTab, bobTab]) w.close();
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,188 @@
+// Player profiles. A profile is a name plus a secret key (POST /api/profile),
+// kept in the browser and sent with every hello; when a game ends GameRoom
+// credits each seat's result to the profile the seat was linked with, and the
+// PlayerProfile Durable Object keeps the lifetime stats (GET /api/profile).
+// Verifies: creating and reading a profile; a profile alone never gets anyone
+// into a game, and name reclaim works exactly as before; a seat stays linked to
+// its first profile even when reclaimed by name under another; a wrong key
+// earns nothing; finished games are counted once each, including after a
+// rematch, and the stats never show the room code; each seat's result; a
+// profile made on the home screen, which the tab sends when it takes a seat;
+// and the stats page.
+import { JSDOM } from 'jsdom';
+import WebSocket from 'ws';
+import fs from 'fs';
+import { waitFor, openClient } from './helpers.mjs';
+import { createGame, getPlayerResults, GameActions } from '../src/game-logic.js';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+const ROOT = decodeURIComponent(new URL('..', import.meta.url).pathname).replace(/\/$/, '');
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+const post = async (body) => {
+  const res = await fetch(`${BASE}/api/profile`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  return { status: res.status, ...(await res.json()) };
+};
+const stats = async (id) => {
+  const res = await fetch(`${BASE}/api/profile?id=${encodeURIComponent(id)}`);
+  return { status: res.status, ...(await res.json()) };
+};
+const linkOf = (created) => ({ id: created.profileId, key: created.key });
+
+// Five rejected teams in a row: evil wins without a quest
+async function rejectFiveTimes(players) {
+  const host = players[0];
+  const byId = (id) => players.find(p => p.identity.playerId === id);
+  for (let round = 0; round < 5; round++) {
+    const s = host.state;
+    act(byId(s.players[s.leaderIndex].id), 'propose', { team: s.players.slice(0, s.questSizes[0]).map(p => p.id) });
+    await waitFor(() => host.state.phase === 'team_vote');
+    for (const p of players) act(p, 'vote', { approve: false });
+    await waitFor(() => host.state.phase === 'vote_result');
+    act(host, 'continueFromVote');
+    await waitFor(() => host.state.phase !== 'vote_result');
+  }
+}
+
+// ---- Creating and reading ----
+check('a profile needs a name', (await post({ name: '  ' })).status === 400);
+const aliceProfile = await post({ name: 'Alice' });
+const bobProfile = await post({ name: 'Bob' });
+const daveProfile = await post({ name: 'Dave' });
+check('creating returns an id and a secret key',
+  aliceProfile.success && aliceProfile.profileId && aliceProfile.key && aliceProfile.key !== aliceProfile.profileId);
+const fresh = await stats(aliceProfile.profileId);
+check('a new profile has no games', fresh.name === 'Alice' && fresh.stats.played === 0 && fresh.recent.length === 0);
+check('the stats never include the key', !JSON.stringify(fresh).includes(aliceProfile.key));
+check('an unknown profile is not found',
+  (await stats('00000000-0000-0000-0000-000000000000')).status === 404 && (await stats('nonsense')).status === 404);
+
+// ---- A table where some seats have profiles ----
+const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice' }) })).json();
+const code = created.gameCode;
+const alice = await connect(code, { playerId: created.playerId, token: created.token, profile: linkOf(aliceProfile) });
+const players = [alice];
+players.push(await connect(code, { name: 'Bob', profile: linkOf(bobProfile) }));
+// Carl claims Alice's profile without its key
+players.push(await connect(code, { name: 'Carl', profile: { id: aliceProfile.profileId, key: 'guess' } }));
+for (const n of ['Dave', 'Erin', 'Fran']) { players.push(await connect(code, { name: n })); await wait(40); }
+await waitFor(() => alice.state.playerCount === 6);
+
+const refused = await connect(code, { profile: linkOf(bobProfile) }).then(() => null, (e) => e.message);
+check('a profile alone never gets anyone in', /unknown player/i.test(refused || ''));
+
+act(alice, 'start');
+await waitFor(() => players.every(p => p.knowledge));
+
+// Bob's seat is reclaimed by name from another browser, under Dave's profile
+const bob = players[1];
+const reclaimed = await connect(code, { name: 'Bob', profile: linkOf(daveProfile) });
+check('name reclaim works as before, profile or not', reclaimed.identity.playerId === bob.identity.playerId);
+bob.ws.close();
+players[1] = reclaimed;
+
+await rejectFiveTimes(players);
+check('the game is over', alice.state.phase === 'game_over');
+// Evil won on rejections, so a seat won if it was evil
+const aliceRole = alice.state.players.find(p => p.id === alice.identity.playerId).role;
+const aliceSide = alice.state.roleCatalog[aliceRole].alignment;
+
+const statsOf = (profile) => stats(profile.profileId);
+check('the game is credited to the seat\'s profile', await waitFor(async () => (await statsOf(aliceProfile)).stats.played === 1));
+let a = await statsOf(aliceProfile);
+check('...with the side played and the result', a.stats[aliceSide].played === 1 &&
+  a.stats[aliceSide].won === (aliceSide === 'evil' ? 1 : 0) && a.recent[0].role === aliceRole && a.recent[0].won === (aliceSide === 'evil'));
+check('a wrong key earns nothing (Alice\'s profile counts one game, not two)', a.stats.played === 1);
+check('a seat stays with its first profile', await waitFor(async () => (await statsOf(bobProfile)).stats.played === 1) &&
+  (await statsOf(daveProfile)).stats.played === 0);
+
+// ---- The home screen: Erin makes a profile in her tab and takes her seat with it ----
+const erinTab = await openClient();
+const $ = (x) => erinTab.document.getElementById(x);
+$('profile-name').value = 'Erin';
+$('btn-create-profile').click();
+check('the home screen shows the new profile', await waitFor(() => $('profile-new').classList.contains('hidden')) &&
+  $('profile-saved-name').textContent === 'Erin');
+const erinProfile = JSON.parse(erinTab.localStorage.getItem('mightymen_profile'));
+check('...with a link to its stats', $('profile-stats-link').href === `${BASE}/stats.html?id=${erinProfile.id}`);
+$('join-code').value = code;
+$('join-name').value = 'Erin';
+erinTab.joinGame();
+await waitFor(() => erinTab.eval('gameState && gameState.phase') === 'game_over');
+
+// ---- A rematch is another game ----
+act(alice, 'rematch');
+await waitFor(() => players.every(p => p.state.phase === 'lobby'));
+act(alice, 'start');
+await waitFor(() => players.every(p => p.state.phase === 'team_selection' && p.knowledge?.role));
+await rejectFiveTimes(players);
+check('the next game counts too', await waitFor(async () => (await statsOf(aliceProfile)).stats.played === 2));
+check("the tab sent Erin's profile with its hello: her seat's next game is on it",
+  await waitFor(async () => (await stats(erinProfile.id)).stats.played === 1));
+erinTab.close();
+act(alice, 'resetSeries');
+await waitFor(() => alice.state.series.games.length === 0);
+await wait(300);
+a = await statsOf(aliceProfile);
+check('each game is counted once', a.stats.played === 2 && a.recent.length === 2);
+check("the public stats never give away the room's code", !JSON.stringify(a).includes(code) &&
+  a.recent.every(g => !('gameId' in g)));
+for (const p of players) p.ws.close();
+
+// ---- Each seat's result (game-logic.js alone) ----
+const local = createGame('Alice', { seed: 'profiles' });
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) GameActions.join(local, n);
+GameActions.start(local, local.players[0].id);
+for (let q = 0; q < 3; q++) {
+  GameActions.propose(local, local.players[local.leaderIndex].id, local.players.slice(0, local.questSizes[q]).map(p => p.id));
+  for (const p of local.players) GameActions.vote(local, p.id, true);
+  GameActions.continueFromVote(local, local.players[0].id);
+  for (const id of local.proposedTeam) GameActions.questVote(local, id, true);
+  GameActions.continueFromQuest(local, local.players[0].id);
+}
+const saul = local.players.find(p => p.role === 'saul');
+GameActions.assassinate(local, saul.id, local.players.find(p => p.role === 'samuel').id);
+const results = getPlayerResults(local);
+check('the strike is credited to Saul alone',
+  results.filter(r => r.landedStrike).map(r => r.playerId).join() === saul.id);
+check('evil won, good lost', results.every(r => r.won === (r.side === 'evil')));
+
+// ============ The stats page ============
+// stats.html loads Alice's stats from the server by itself
+
+const page = new JSDOM(fs.readFileSync(`${ROOT}/public/stats.html`, 'utf8'), {
+  runScripts: 'dangerously', url: `${BASE}/stats.html?id=${aliceProfile.profileId}`,
+  beforeParse(w) { w.fetch = (u, o) => fetch(BASE + u, o); }
+});
+const $$ = (x) => page.window.document.getElementById(x).textContent;
+const rate = ({ played, won }) => (played ? `${Math.round((won / played) * 100)}%` : '—');
+check('the stats page shows win rates by side', await waitFor(() => $$('stat-played') === '2') &&
+  $$('stat-won') === rate({ played: 2, won: a.stats.good.won + a.stats.evil.won }) &&
+  $$('stat-good') === rate(a.stats.good) && $$('stat-evil') === rate(a.stats.evil) && $$('stat-samuel') === String(a.stats.samuel));
+const recent = [...page.window.document.querySelectorAll('#recent-games li')].map(li => li.textContent.replace(/\s+/g, ' '));
+check('...and recent games', recent.length === 2 && a.recent.every((g, i) =>
+  recent[i].includes(a.roleCatalog[g.role].name) && recent[i].includes(g.won ? 'Won' : 'Lost')));
+page.window.close();
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -1,7 +1,8 @@
 // Verifies two related fixes reported after a play session where a quest
 // passed and nobody understood why:
 //   1. No quest can ever require the WHOLE table (max team size = players - 1),
-//      so team selection always leaves genuine choice in who to pick.
+//      so team selection always leaves genuine choice in who to pick. Checked
+//      on the house-rules quest table, the one whose 3-4-5-6-6 needs the cap.
 //   2. Every screen involved in a quest (selection, vote, the quest itself, and
 //      the result) explains in words what it takes to pass/fail it.
 import { JSDOM } from 'jsdom';
@@ -49,14 +50,16 @@ const players = [host];
 for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) { players.push(await connect(code, { name: n })); await wait(40); }
 check('exactly 6 players (the minimum)', await waitFor(() => host.state.playerCount === 6));
 
+act(host, 'setOptions', { options: { questTable: 'house' } });
+check('house quest table selected', await waitFor(() => host.state.options.questTable === 'house'));
 act(host, 'start');
 check('game started', await waitFor(() => host.state.phase === 'team_selection'));
 
 console.log('    questSizes for 6 players:', host.state.questSizes);
 check('no quest requires all 6 players', host.state.questSizes.every(size => size < 6));
-check('sizes still capped at population-1 (5) where the standard size was 6',
+check('sizes still capped at population-1 (5) where the house size was 6',
   host.state.questSizes[3] === 5 && host.state.questSizes[4] === 5);
-check('smaller quests unaffected (population-1 exceeds their standard size)',
+check('smaller quests unaffected (population-1 exceeds their house size)',
   host.state.questSizes[0] === 3 && host.state.questSizes[1] === 4 && host.state.questSizes[2] === 5);
 
 // A leader trying to propose all 6 players on quest 4 must be rejected, and a
@@ -107,16 +110,17 @@ const phaseHtml = () => w.document.getElementById('phase-content').innerHTML;
 // are already looking at and races ahead of the transition.
 const phaseIs = (p) => waitFor(() => raw.P2.state?.phase === p);
 
-// Quest 1 (index 0): fail requirement is 1 -> the "even 1 Fail vote" wording.
+// Quest 1 (index 0) on the standard 6-player table: a team of 2, and a fail
+// requirement of 1 -> the "even 1 Fail vote" wording.
 await phaseIs('team_selection');
 check('team selection explains the rule (quest 1)',
-  await waitFor(() => /needs.*3.*player/i.test(phaseHtml()) && /even 1 Fail vote/i.test(phaseHtml())));
+  await waitFor(() => /needs.*2.*player/i.test(phaseHtml()) && /even 1 Fail vote/i.test(phaseHtml())));
 
 // Whoever is leader proposes; advance to team_vote and check the rule shows there too.
 const anyState = raw.P2.state;
 const leaderId2 = anyState.players[anyState.leaderIndex].id;
 const leaderRaw = Object.values(raw).find(p => p.identity?.playerId === leaderId2);
-const team2 = anyState.players.slice(0, 3).map(p => p.id);
+const team2 = anyState.players.slice(0, 2).map(p => p.id);
 if (leaderRaw) act(leaderRaw, 'propose', { team: team2 });
 else w.doAction('propose', { team: team2 });
 await phaseIs('team_vote');
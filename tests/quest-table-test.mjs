@@ -0,0 +1,83 @@
+// Quest table by player count. The standard table follows Avalon (2-3-4-3-4 at
+// 6 players, 2-3-3-4-4 at 7 with two Fails on quest 4, 3-4-4-5-5 at 8+); the
+// original flat 3-4-5-6-6 stays selectable as the "house" table. Verifies the
+// lobby preview tracks the head count and the option, the option is validated,
+// the table is locked in at start and propose() enforces it.
+import WebSocket from 'ws';
+import { waitFor } from './helpers.mjs';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Host' }) })).json();
+const code = created.gameCode;
+const host = await connect(code, { playerId: created.playerId, token: created.token });
+const players = [host];
+async function addPlayers(count) {
+  for (let i = 0; i < count; i++) { players.push(await connect(code, { name: `P${players.length + 1}` })); await wait(40); }
+  await waitFor(() => host.state.playerCount === players.length);
+}
+
+// ---- Lobby preview ----
+check('standard table by default', host.state.options.questTable === 'standard');
+await addPlayers(5);
+check('6 players: 2-3-4-3-4, one Fail everywhere',
+  same(host.state.questSizes, [2, 3, 4, 3, 4]) && same(host.state.questFailRequirements, [1, 1, 1, 1, 1]));
+await addPlayers(1);
+check('7 players: 2-3-3-4-4, quest 4 needs two Fails',
+  await waitFor(() => same(host.state.questSizes, [2, 3, 3, 4, 4]) && same(host.state.questFailRequirements, [1, 1, 1, 2, 1])));
+await addPlayers(1);
+check('8 players: 3-4-4-5-5', await waitFor(() => same(host.state.questSizes, [3, 4, 4, 5, 5])));
+
+// ---- Option validation ----
+host.errors = [];
+act(host, 'setOptions', { options: { questTable: 'tournament' } });
+check('unknown quest table rejected', await waitFor(() => host.errors.some(e => /invalid value for questTable/i.test(e))));
+players[1].errors = [];
+act(players[1], 'setOptions', { options: { questTable: 'house' } });
+check('non-host cannot change the quest table', await waitFor(() => players[1].errors.some(e => /only the host/i.test(e))));
+
+act(host, 'setOptions', { options: { questTable: 'house' } });
+check('house table previews 3-4-5-6-6 for everyone',
+  await waitFor(() => players.every(p => same(p.state.questSizes, [3, 4, 5, 6, 6]) && same(p.state.questFailRequirements, [1, 1, 1, 2, 1]))));
+act(host, 'setOptions', { options: { questTable: 'standard' } });
+await waitFor(() => host.state.options.questTable === 'standard');
+
+// ---- Locked in at start, enforced by propose ----
+for (const p of players.splice(6)) act(p, 'leave');
+check('back to 6 players', await waitFor(() => host.state.playerCount === 6));
+act(host, 'start');
+check('game started', await waitFor(() => host.state.phase === 'team_selection'));
+check('6-player game uses the standard table', same(host.state.questSizes, [2, 3, 4, 3, 4]));
+
+const leader = players.find(p => p.identity.playerId === host.state.players[host.state.leaderIndex].id);
+const ids = host.state.players.map(p => p.id);
+leader.errors = [];
+act(leader, 'propose', { team: ids.slice(0, 3) });
+check('a house-sized team of 3 is rejected on quest 1', await waitFor(() => leader.errors.some(e => /exactly 2 players/i.test(e))));
+act(leader, 'propose', { team: ids.slice(0, 2) });
+check('a team of 2 is accepted', await waitFor(() => host.state.phase === 'team_vote'));
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
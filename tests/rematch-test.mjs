@@ -0,0 +1,124 @@
+// Rematch. Once a game is over the host sends the same table back to the lobby
+// (action `rematch`): players, seats, names, options and tokens stay; roles,
+// quests, votes and the history go, and every tab lands in the new lobby by
+// itself. Hosting can pass to the next connected player. Verifies: only the
+// host, and only after game over; what is reset and what is kept; that saved
+// tokens still get players back in; that the next game deals and runs; that
+// the log rebuilds a rematched game; and, in tabs, the rematch panel and
+// button and the new lobby's label.
+import WebSocket from 'ws';
+import { waitFor, joinClient } from './helpers.mjs';
+import { createGame, rebuildGame, GameActions } from '../src/game-logic.js';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+async function expectError(p, action, data, pattern) {
+  p.errors = [];
+  act(p, action, data);
+  return waitFor(() => p.errors.some(e => pattern.test(e)));
+}
+
+const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice', options: { voteReveal: 'counts' } }) })).json();
+const code = created.gameCode;
+const alice = await connect(code, { playerId: created.playerId, token: created.token });
+const players = [alice];
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) { players.push(await connect(code, { name: n })); await wait(40); }
+await waitFor(() => alice.state.playerCount === 6);
+const bob = players[1];
+const byId = (id) => players.find(p => p.identity.playerId === id);
+const seating = () => JSON.stringify(alice.state.players.map(p => [p.id, p.name]));
+const seatsBefore = seating();
+
+act(alice, 'start');
+await waitFor(() => players.every(p => p.knowledge));
+check('not while the game is on', await expectError(alice, 'rematch', {}, /not over/));
+
+// Five rejected teams: evil wins
+for (let round = 0; round < 5; round++) {
+  const s = alice.state;
+  act(byId(s.players[s.leaderIndex].id), 'propose', { team: s.players.slice(0, s.questSizes[0]).map(p => p.id) });
+  await waitFor(() => alice.state.phase === 'team_vote');
+  for (const p of players) act(p, 'vote', { approve: false });
+  await waitFor(() => alice.state.phase === 'vote_result');
+  act(alice, 'continueFromVote');
+  await waitFor(() => alice.state.phase !== 'vote_result');
+}
+check('the first game is over', alice.state.phase === 'game_over' && alice.state.gameNumber === 1);
+check('only the host can start a rematch', await expectError(bob, 'rematch', {}, /only the host/i));
+
+// ---- Rematch from the host's tab, passing hosting on ----
+// Alice and Bob have the game open in a tab too
+const aliceTab = await joinClient(code, 'Alice');
+const bobTab = await joinClient(code, 'Bob');
+const $ = (w, x) => w.document.getElementById(x);
+check('the host gets the rematch button', !$(aliceTab, 'rematch-host').classList.contains('hidden') &&
+  $(aliceTab, 'rematch-waiting').classList.contains('hidden'));
+check('everyone else waits for it', $(bobTab, 'rematch-host').classList.contains('hidden') &&
+  !$(bobTab, 'rematch-waiting').classList.contains('hidden'));
+$(aliceTab, 'rematch-rotate-host').checked = true;
+$(aliceTab, 'btn-rematch').click();
+check('every tab lands in the new lobby', await waitFor(() => players.every(p => p.state.phase === 'lobby' && p.state.gameNumber === 2)));
+check('...and says which game this is', await waitFor(() => [aliceTab, bobTab].every(w =>
+  !$(w, 'screen-lobby').classList.contains('hidden') && $(w, 'lobby-game-number').textContent === 'Game 2 with this table')));
+check('...with the host controls for the new host only', !$(bobTab, 'host-controls').classList.contains('hidden') &&
+  $(aliceTab, 'host-controls').classList.contains('hidden'));
+for (const w of [aliceTab, bobTab]) w.close();
+check('same players in the same seats', seating() === seatsBefore);
+check('hosting passed to the next player', bob.state.isHost === true && alice.state.isHost === false);
+check('roles, quests, votes and history are gone', players.every(p => p.knowledge === null) &&
+  alice.state.questResults.length === 0 && alice.state.rejectCount === 0 && alice.state.history.length === 0 &&
+  alice.state.winner === null);
+check('the options carry over', alice.state.options.voteReveal === 'counts');
+
+// ---- Tokens still work ----
+const carl = players[2];
+carl.ws.close();
+await waitFor(() => alice.state.players.find(p => p.id === carl.identity.playerId).connected === false);
+const back = await connect(code, { playerId: carl.identity.playerId, token: carl.identity.token });
+check('a saved token still gets its player back in', back.identity.playerId === carl.identity.playerId && back.identity.token === carl.identity.token);
+players[2] = back;
+
+// ---- The next game ----
+act(bob, 'start');
+check('the new host deals the next game', await waitFor(() => players.every(p => p.knowledge?.role)));
+check('it starts from quest 1', alice.state.phase === 'team_selection' && alice.state.currentQuest === 0 &&
+  alice.state.history.length === 1);
+for (const p of players) p.ws.close();
+
+// ---- In game-logic.js alone ----
+const local = createGame('Alice', { seed: 'rematch' });
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) GameActions.join(local, n);
+GameActions.start(local, local.players[0].id);
+for (let round = 0; round < 5; round++) {
+  GameActions.propose(local, local.players[local.leaderIndex].id, local.players.slice(0, 2).map(p => p.id));
+  for (const p of local.players) GameActions.vote(local, p.id, false);
+  GameActions.continueFromVote(local, local.players[0].id);
+}
+GameActions.rematch(local, local.players[0].id);
+check('without rotating, the host stays', local.players[0].isHost && local.phase === 'lobby');
+GameActions.start(local, local.players[0].id);
+check('the log rebuilds a rematched game', JSON.stringify(rebuildGame(local.events)) === JSON.stringify(local));
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,127 @@
+// Game records and replay. A finished game can be downloaded as a JSON record
+// (GET /api/record) holding every role, vote and quest card; POST /api/replay
+// plays a record back through the game rules and returns one step per event.
+// Verifies: no record until the game is over; the record is complete; the
+// replay matches the game; a tampered record is refused, naming the event.
+import WebSocket from 'ws';
+import { waitFor } from './helpers.mjs';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+const replay = (body) => fetch(`${BASE}/api/replay`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+
+const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice' }) })).json();
+const code = created.gameCode;
+const host = await connect(code, { playerId: created.playerId, token: created.token });
+const players = [host];
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) { players.push(await connect(code, { name: n })); await wait(40); }
+await waitFor(() => host.state.playerCount === 6);
+const byId = (id) => players.find(p => p.identity.playerId === id);
+
+// ---- No record before the game is over ----
+check('unknown game has no record', (await fetch(`${BASE}/api/record?code=ZZZZ`)).status === 404);
+check('lobby has no record', (await fetch(`${BASE}/api/record?code=${code}`)).status === 409);
+
+// Samuel and Saul only (plus Mighty Men and a Sheep)
+act(host, 'setOptions', { options: { roles: [] } });
+await waitFor(() => host.state.options.roles?.length === 0);
+act(host, 'start');
+await waitFor(() => players.every(p => p.knowledge));
+check('no record mid-game', (await fetch(`${BASE}/api/record?code=${code}`)).status === 409);
+
+const saul = players.find(p => p.knowledge.role === 'saul');
+const samuel = players.find(p => p.knowledge.role === 'samuel');
+const goodTeam = () => players.filter(p => !p.knowledge.isEvil).slice(0, host.state.questSizes[host.state.currentQuest]).map(p => p.identity.playerId);
+
+async function voteOn(approve) {
+  const s = host.state;
+  act(byId(s.players[s.leaderIndex].id), 'propose', { team: goodTeam() });
+  await waitFor(() => host.state.phase === 'team_vote');
+  for (const p of players) act(p, 'vote', { approve });
+  await waitFor(() => host.state.phase === 'vote_result');
+  act(host, 'continueFromVote');
+  await waitFor(() => host.state.phase !== 'vote_result');
+}
+
+// One rejected proposal, then three all-good quests
+await voteOn(false);
+for (let q = 0; q < 3; q++) {
+  await voteOn(true);
+  for (const id of host.state.proposedTeam) act(byId(id), 'questVote', { success: true });
+  await waitFor(() => host.state.phase === 'quest_result');
+  act(host, 'continueFromQuest');
+  await waitFor(() => host.state.phase !== 'quest_result');
+}
+check('three quests succeed; Saul gets his shot', host.state.phase === 'assassination');
+const miss = players.find(p => !p.knowledge.isEvil && p !== samuel);
+act(saul, 'assassinate', { targetId: miss.identity.playerId });
+check('Saul misses; good wins', await waitFor(() => host.state.phase === 'game_over' && host.state.winner === 'good'));
+
+// ---- The record ----
+const res = await fetch(`${BASE}/api/record?code=${code}`);
+check('record downloads once the game is over', res.status === 200);
+check('record is served as an attachment', /attachment; filename="mighty-men-/.test(res.headers.get('content-disposition') || ''));
+const record = await res.json();
+check('record names every role',
+  record.players.length === 6 && record.players.every(p => p.role === byId(p.id).knowledge.role));
+const quests = record.history.filter(e => e.type === 'quest');
+check('record keeps every quest card',
+  quests.length === 3 && quests.every(e => e.team.every(id => e.cards[id] === true)));
+check('record keeps the winner', record.winner === 'good');
+
+// ---- Replay ----
+const replayed = await (await replay(JSON.stringify(record))).json();
+check('replay has one step per event', replayed.steps?.length === record.history.length);
+const last = replayed.steps?.[replayed.steps.length - 1];
+check('replay ends the way the game did', last?.phase === 'game_over' && last.winner === 'good');
+check('replay carries the role catalog', replayed.roleCatalog?.saul?.alignment === 'evil');
+check('replay viewer page is served', (await fetch(`${BASE}/replay.html`)).status === 200);
+
+// ---- Tampering ----
+async function rejects(name, mutate, pattern) {
+  const copy = JSON.parse(JSON.stringify(record));
+  mutate(copy);
+  const r = await replay(JSON.stringify(copy));
+  const body = await r.json();
+  check(`${name} (${body.error})`, r.status === 400 && pattern.test(body.error || ''));
+}
+await rejects('a good player cannot have played Fail', (r) => {
+  const q = r.history.find(e => e.type === 'quest');
+  q.cards[q.team[0]] = false;
+}, /^Event \d+ \(quest\): Good players must support/);
+await rejects('swapping Samuel into the target changes the assassination', (r) => {
+  const a = r.players.find(p => p.id === samuel.identity.playerId);
+  const b = r.players.find(p => p.id === miss.identity.playerId);
+  [a.role, b.role] = [b.role, a.role];
+}, /\(assassination\): .*does not match/);
+await rejects('an extra Saul is not a legal deal', (r) => {
+  r.players.find(p => p.id === samuel.identity.playerId).role = 'saul';
+}, /not a legal deal/);
+await rejects('a truncated record is refused', (r) => {
+  r.history = r.history.slice(0, 4);
+}, /ends before the game does/);
+const garbage = await replay('{not json');
+check('garbage is not a game record', garbage.status === 400 && /not a game record/i.test((await garbage.json()).error));
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
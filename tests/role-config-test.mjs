@@ -0,0 +1,99 @@
+// Host-configurable special roles. The lobby option `roles` is null for the
+// standard deal, or an explicit list of optional roles (David, Phinehas, Doeg).
+// Verifies: everyone sees the setup before start; bad values are rejected; a
+// "vanilla" Samuel + Saul game deals exactly that; a pick that doesn't fit
+// TEAM_COMPOSITION blocks start until the table is big enough.
+import WebSocket from 'ws';
+import { waitFor } from './helpers.mjs';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+async function newTable(names) {
+  const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Host' }) })).json();
+  const host = await connect(created.gameCode, { playerId: created.playerId, token: created.token });
+  const players = [host];
+  for (const n of names) { players.push(await connect(created.gameCode, { name: n })); await wait(40); }
+  await waitFor(() => host.state.playerCount === players.length);
+  return { code: created.gameCode, host, players };
+}
+const dealt = (players) => players.map(p => p.knowledge.role).sort();
+
+// ============ Standard setup is visible to everyone before start ============
+
+const a = await newTable(['P2', 'P3', 'P4', 'P5', 'P6']);
+check('default is the standard setup', a.host.state.options.roles === null);
+check('non-host sees the 6-player setup: Samuel+David vs Saul+Phinehas',
+  JSON.stringify(a.players[1].state.roleSetup.good) === '["samuel","david"]' &&
+  JSON.stringify(a.players[1].state.roleSetup.evil) === '["saul","phinehas"]' &&
+  a.players[1].state.roleSetup.error === null);
+
+// ============ Validation ============
+
+a.host.errors = [];
+act(a.host, 'setOptions', { options: { roles: ['samuel'] } });
+check('Samuel is not an optional role', await waitFor(() => a.host.errors.some(e => /invalid value for roles/i.test(e))));
+a.host.errors = [];
+act(a.host, 'setOptions', { options: { roles: 'david' } });
+check('roles must be a list', await waitFor(() => a.host.errors.some(e => /invalid value for roles/i.test(e))));
+a.players[2].errors = [];
+act(a.players[2], 'setOptions', { options: { roles: [] } });
+check('non-host cannot change roles', await waitFor(() => a.players[2].errors.some(e => /only the host/i.test(e))));
+
+// ============ Vanilla: only Samuel and Saul ============
+
+act(a.host, 'setOptions', { options: { roles: [] } });
+check('everyone sees the vanilla setup',
+  await waitFor(() => a.players.every(p =>
+    JSON.stringify(p.state.roleSetup.good) === '["samuel"]' &&
+    JSON.stringify(p.state.roleSetup.evil) === '["saul"]')));
+act(a.host, 'start');
+check('vanilla game starts', await waitFor(() => a.host.state.phase === 'team_selection'));
+await waitFor(() => a.players.every(p => p.knowledge));
+check('vanilla deal = Samuel, Saul, 3 Mighty Men, 1 Sheep',
+  JSON.stringify(dealt(a.players)) ===
+  JSON.stringify(['mighty_man', 'mighty_man', 'mighty_man', 'samuel', 'saul', 'sheep']));
+
+// ============ A pick that doesn't fit waits for a bigger table ============
+
+const b = await newTable(['Q2', 'Q3', 'Q4', 'Q5', 'Q6']);
+act(b.host, 'setOptions', { options: { roles: ['doeg', 'phinehas', 'doeg'] } });
+check('roles are deduped into canonical order',
+  await waitFor(() => JSON.stringify(b.host.state.options.roles) === '["phinehas","doeg"]'));
+check('3 evil roles at 6 players is reported before start',
+  await waitFor(() => /3 evil roles.*only have 2/i.test(b.players[1].state.roleSetup.error || '')));
+b.host.errors = [];
+act(b.host, 'start');
+check('start is refused while the roles do not fit', await waitFor(() => b.host.errors.some(e => /evil roles/i.test(e))));
+check('still in the lobby', b.host.state.phase === 'lobby');
+
+b.players.push(await connect(b.code, { name: 'Q7' }));
+check('a 7th player makes room', await waitFor(() => b.host.state.roleSetup.error === null));
+act(b.host, 'start');
+check('custom game starts at 7', await waitFor(() => b.host.state.phase === 'team_selection'));
+await waitFor(() => b.players.every(p => p.knowledge));
+check('custom deal has Phinehas and Doeg but no David',
+  dealt(b.players).includes('phinehas') && dealt(b.players).includes('doeg') && !dealt(b.players).includes('david'));
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,84 @@
+// Role registry: night knowledge comes from declarative `knows` / `hiddenFrom`
+// / `appearsTo` rules rather than per-role code. A 10-player standard game
+// deals every role at once (Samuel, David, Saul, Phinehas, Doeg, Sheep, Mighty
+// Men), so one table checks who-sees-whom for all of them, plus the public
+// `roleCatalog` the client renders role names and the end-game reveal from.
+import WebSocket from 'ws';
+import { waitFor } from './helpers.mjs';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'P1' }) })).json();
+const host = await connect(created.gameCode, { playerId: created.playerId, token: created.token });
+const players = [host];
+for (let i = 2; i <= 10; i++) { players.push(await connect(created.gameCode, { name: `P${i}` })); await wait(40); }
+await waitFor(() => host.state.playerCount === 10);
+
+// ---- Catalog is public from the lobby on ----
+const catalog = players[3].state.roleCatalog;
+check('catalog lists every role',
+  JSON.stringify(Object.keys(catalog || {}).sort()) ===
+  JSON.stringify(['david', 'doeg', 'mighty_man', 'phinehas', 'samuel', 'saul', 'sheep']));
+check('catalog carries names and sides',
+  catalog.sheep.name === 'Sheep of Saul' && catalog.sheep.alignment === 'evil' && catalog.david.alignment === 'good');
+check('catalog says nothing about who sees whom',
+  !/knows|hiddenFrom|appearsTo|abilities/.test(JSON.stringify(catalog)));
+
+act(host, 'start');
+check('game started', await waitFor(() => host.state.phase === 'team_selection'));
+await waitFor(() => players.every(p => p.knowledge && p.knowledge.role));
+
+const idsOf = (...roles) => players.filter(p => roles.includes(p.knowledge.role)).map(p => p.identity.playerId).sort();
+const sees = (p) => p.knowledge.sees.map(s => s.id).sort();
+const one = (role) => players.find(p => p.knowledge.role === role);
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const others = (p, ids) => ids.filter(id => id !== p.identity.playerId);
+
+check('standard 10-player deal includes every special role',
+  ['samuel', 'david', 'saul', 'phinehas', 'doeg', 'sheep'].every(r => one(r)));
+
+// Samuel: every evil player except Saul, labelled "Evil"
+const samuel = one('samuel');
+check('Samuel sees Phinehas, Doeg and the Sheep, not Saul',
+  same(sees(samuel), idsOf('phinehas', 'doeg', 'sheep')) && samuel.knowledge.sees.every(s => s.label === 'Evil'));
+
+// David: Samuel and Phinehas under the same label
+const david = one('david');
+check('David sees Samuel and Phinehas as "Samuel or Phinehas"',
+  same(sees(david), idsOf('samuel', 'phinehas')) && david.knowledge.sees.every(s => s.label === 'Samuel or Phinehas'));
+
+// Evil (except Doeg) see each other, never Doeg
+for (const role of ['saul', 'phinehas', 'sheep']) {
+  const p = one(role);
+  check(`${role} sees the other evil players except Doeg, as "Evil Ally"`,
+    same(sees(p), others(p, idsOf('saul', 'phinehas', 'sheep'))) && p.knowledge.sees.every(s => s.label === 'Evil Ally'));
+}
+
+check('Doeg sees no one', one('doeg').knowledge.sees.length === 0);
+check('Mighty Men see no one', players.filter(p => p.knowledge.role === 'mighty_man').every(p => p.knowledge.sees.length === 0));
+check('alignment comes from the registry',
+  players.every(p => p.knowledge.isEvil === (catalog[p.knowledge.role].alignment === 'evil')));
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -14,6 +14,7 @@ import path from 'path';
 const PORT = 8799;
 const BASE = `http://localhost:${PORT}`;
 const TESTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const HOST_FAILOVER_SECONDS = 3;
 
 // Roughly fast-to-slow; pure-WebSocket suites first, jsdom UI suites after.
 const SUITES = [
@@ -31,8 +32,33 @@ const SUITES = [
   'sound-test',
   'rejoin-retry-test',
   'quest-rules-test',
+  'quest-table-test',
   'team-composition-test',
-  'selection-test',   // slowest: replays games until the host draws leader
+  'table-size-test',
+  'ephod-test',
+  'role-config-test',
+  'role-knowledge-test',
+  'variants-test',
+  'history-test',
+  'seed-test',
+  'undo-test',
+  'pause-test',
+  'host-transfer-test',
+  'acknowledge-test',
+  'turn-timer-test',
+  'substitute-test',
+  'spectator-test',
+  'rematch-test',
+  'scoreboard-test',
+  'profile-test',
+  'bot-test',
+  'simulate-test',
+  'chat-test',
+  'whisper-test',
+  'marker-test',
+  'notes-test',
+  'replay-test',
+  'selection-test',   // jsdom: two full games in one tab
 ];
 
 const filter = process.argv[2];
@@ -61,7 +87,10 @@ async function startServer() {
     return;
   }
   console.log(`Starting wrangler dev on :${PORT} ...`);
-  wrangler = spawn('npx', ['wrangler', 'dev', '--port', String(PORT)], {
+  // ALLOW_DEV_SEED lets suites create seeded games (reproducible deals); a
+  // short HOST_FAILOVER_SECONDS lets host-transfer-test see a failover.
+  wrangler = spawn('npx', ['wrangler', 'dev', '--port', String(PORT),
+    '--var', 'ALLOW_DEV_SEED:true', '--var', `HOST_FAILOVER_SECONDS:${HOST_FAILOVER_SECONDS}`], {
     cwd: path.resolve(TESTS_DIR, '..'),
     stdio: 'ignore',
     detached: true, // own process group, so we can kill workerd children too
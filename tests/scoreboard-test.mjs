@@ -0,0 +1,136 @@
+// Session scoreboard. Every finished game at a room goes on its series record
+// (state.series), which rematches keep: wins by side, how often Saul's strike
+// landed, and each player's roles and results. It is derived from the room's
+// event log, so it lasts as long as the room. Verifies: empty until a game
+// ends; the tally after one game and after a second; players keep their line
+// under their seat; only the host can reset it, and a reset empties it for
+// everyone; the log rebuilds it; and the scoreboard card in tabs at the table.
+import WebSocket from 'ws';
+import { waitFor, joinClient } from './helpers.mjs';
+import { createGame, rebuildGame, getPublicGameState, GameActions } from '../src/game-logic.js';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+async function expectError(p, action, data, pattern) {
+  p.errors = [];
+  act(p, action, data);
+  return waitFor(() => p.errors.some(e => pattern.test(e)));
+}
+
+// Five rejected teams in a row: evil wins without a quest
+async function rejectFiveTimes(players) {
+  const host = players[0];
+  const byId = (id) => players.find(p => p.identity.playerId === id);
+  for (let round = 0; round < 5; round++) {
+    const s = host.state;
+    act(byId(s.players[s.leaderIndex].id), 'propose', { team: s.players.slice(0, s.questSizes[0]).map(p => p.id) });
+    await waitFor(() => host.state.phase === 'team_vote');
+    for (const p of players) act(p, 'vote', { approve: false });
+    await waitFor(() => host.state.phase === 'vote_result');
+    act(host, 'continueFromVote');
+    await waitFor(() => host.state.phase !== 'vote_result');
+  }
+}
+
+const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice' }) })).json();
+const code = created.gameCode;
+const alice = await connect(code, { playerId: created.playerId, token: created.token });
+const players = [alice];
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) { players.push(await connect(code, { name: n })); await wait(40); }
+await waitFor(() => alice.state.playerCount === 6);
+const bob = players[1];
+check('the scoreboard starts empty', alice.state.series.games.length === 0 && alice.state.series.players.length === 0);
+check('nothing to reset yet', await expectError(alice, 'resetSeries', {}, /already empty/));
+// Bob has the game open in a tab too, from here on
+const bobTab = await joinClient(code, 'Bob');
+const $ = (w, x) => w.document.getElementById(x);
+check('no scoreboard card before a game has finished', $(bobTab, 'lobby-scoreboard').classList.contains('hidden'));
+
+// ---- Game 1 ----
+act(alice, 'start');
+await waitFor(() => players.every(p => p.knowledge));
+const roles1 = Object.fromEntries(players.map(p => [p.identity.playerId, p.knowledge.role]));
+check('a game in progress is not on it', alice.state.series.games.length === 0);
+await rejectFiveTimes(players);
+const one = alice.state.series;
+check('the finished game is on everyone\'s scoreboard',
+  await waitFor(() => players.every(p => p.state.series.games.length === 1)) && one.games[0].winner === 'evil' && one.games[0].gameNumber === 1);
+check('wins by side', one.wins.evil === 1 && one.wins.good === 0);
+check('no strike when the game ended on rejections', one.assassinations.attempts === 0 && one.games[0].assassinated === null);
+check('each player\'s role and result', one.players.length === 6 && one.players.every(p =>
+  p.played === 1 && p.games[0].role === roles1[p.id] && p.wins === (p.games[0].won ? 1 : 0)));
+
+// ---- Game 2, after a rematch ----
+act(alice, 'rematch');
+await waitFor(() => players.every(p => p.state.phase === 'lobby'));
+check('the rematch lobby keeps the scoreboard', players.every(p => p.state.series.games.length === 1));
+check('...and shows it', await waitFor(() => /Scoreboard \(1 game\)/.test($(bobTab, 'lobby-scoreboard').textContent)));
+act(alice, 'start');
+await waitFor(() => players.every(p => p.state.phase === 'team_selection' && p.knowledge?.role));
+await rejectFiveTimes(players);
+const two = alice.state.series;
+check('the second game adds to it', two.games.map(g => g.gameNumber).join() === '1,2' && two.wins.evil === 2);
+check('every player has both games on their line', two.players.every(p => p.played === 2 && p.games.length === 2));
+
+const card = () => $(bobTab, 'gameover-scoreboard');
+check('the game-over card: totals, strikes and each player\'s games', await waitFor(() => /Scoreboard \(2 games\)/.test(card().textContent)) &&
+  /Good 0/.test(card().textContent) && /Evil 2/.test(card().textContent) && /Saul has not had a strike yet/.test(card().textContent) &&
+  [...card().querySelectorAll('.role-reveal-item')].map(row => row.lastElementChild.textContent).join() ===
+    two.players.map(p => `${p.wins}/2 won`).join());
+check('no reset button for players', !card().querySelector('.reset-series-btn'));
+
+// ---- Reset, from the host's tab ----
+check('only the host can reset it', await expectError(bob, 'resetSeries', {}, /only the host/i));
+const aliceTab = await joinClient(code, 'Alice');
+$(aliceTab, 'gameover-scoreboard').querySelector('.reset-series-btn').click();
+check('a reset empties it for everyone', await waitFor(() => players.every(p => p.state.series.games.length === 0)));
+check('...and the card goes', await waitFor(() => card().classList.contains('hidden')));
+for (const w of [aliceTab, bobTab]) w.close();
+for (const p of players) p.ws.close();
+
+// ---- In game-logic.js alone ----
+const local = createGame('Alice', { seed: 'scoreboard' });
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) GameActions.join(local, n);
+GameActions.start(local, local.players[0].id);
+for (let q = 0; q < 3; q++) {
+  GameActions.propose(local, local.players[local.leaderIndex].id, local.players.slice(0, local.questSizes[q]).map(p => p.id));
+  for (const p of local.players) GameActions.vote(local, p.id, true);
+  GameActions.continueFromVote(local, local.players[0].id);
+  for (const id of local.proposedTeam) GameActions.questVote(local, id, true);
+  GameActions.continueFromQuest(local, local.players[0].id);
+}
+const saul = local.players.find(p => p.role === 'saul');
+const samuel = local.players.find(p => p.role === 'samuel');
+GameActions.assassinate(local, saul.id, samuel.id);
+const series = getPublicGameState(local, local.players[0].id).series;
+check("Saul's strike is counted", series.assassinations.attempts === 1 && series.assassinations.successes === 1 &&
+  series.games[0].assassinated === true && series.wins.evil === 1);
+GameActions.rematch(local, local.players[0].id);
+GameActions.kick(local, local.players[0].id, local.players[1].id);
+check('a player who has left keeps their line',
+  getPublicGameState(local, local.players[0].id).series.players.some(p => p.name === 'Bob'));
+check('the log rebuilds the scoreboard', JSON.stringify(rebuildGame(local.events).series) === JSON.stringify(local.series));
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,85 @@
+// Seeded games (dev only). `/api/create` accepts a `seed` when the server runs
+// with ALLOW_DEV_SEED (run-all and `npm run dev` set it); the seed fixes the
+// game code, the deal and the first leader. Verifies: the same seed and seating
+// give the same deal every time, and the same one game-logic.js produces on its
+// own; the code comes from the seed's stream; bad seeds are refused.
+import WebSocket from 'ws';
+import { waitFor } from './helpers.mjs';
+import { createGame, createRng, generateCode, GameActions } from '../src/game-logic.js';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+const NAMES = ['Bob', 'Carl', 'Dave', 'Erin', 'Fran', 'Gus'];
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+const create = (body) => fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+// Seat the host and NAMES in order, start, and return the deal by seat.
+async function seededDeal(seed) {
+  const created = await (await create({ name: 'Alice', seed })).json();
+  const host = await connect(created.gameCode, { playerId: created.playerId, token: created.token });
+  const players = [host];
+  for (const n of NAMES) { players.push(await connect(created.gameCode, { name: n })); await wait(40); }
+  await waitFor(() => host.state.playerCount === players.length);
+  act(host, 'start');
+  await waitFor(() => players.every(p => p.knowledge));
+  const deal = { code: created.gameCode, roles: players.map(p => p.knowledge.role), leaderIndex: host.state.leaderIndex };
+  players.forEach(p => p.ws.close());
+  return deal;
+}
+
+// The same deal, computed by game-logic.js alone
+function localDeal(seed) {
+  const game = createGame('Alice', { seed });
+  for (const n of NAMES) GameActions.join(game, n);
+  GameActions.start(game, game.players[0].id);
+  return { roles: game.players.map(p => p.role), leaderIndex: game.leaderIndex };
+}
+
+const first = await seededDeal('issue-42');
+const second = await seededDeal('issue-42');
+check('same seed, same roles by seat', JSON.stringify(first.roles) === JSON.stringify(second.roles));
+check('same seed, same first leader', first.leaderIndex === second.leaderIndex);
+const local = localDeal('issue-42');
+check('the server deals what game-logic.js deals for that seed',
+  JSON.stringify(first.roles) === JSON.stringify(local.roles) && first.leaderIndex === local.leaderIndex);
+
+// Codes are drawn from the seed's stream; a code already in use (an earlier
+// game with this seed) moves on to the next one.
+const rng = createRng('issue-42');
+const streamCodes = Array.from({ length: 12 }, () => generateCode(4, rng));
+check('game codes come from the seed', streamCodes.includes(first.code) && streamCodes.includes(second.code));
+check('a reused seed still gets a fresh code', first.code !== second.code);
+
+const other = localDeal(7);
+check('a different seed deals differently',
+  JSON.stringify(other.roles) !== JSON.stringify(local.roles) || other.leaderIndex !== local.leaderIndex);
+const numeric = await seededDeal(7);
+check('numeric seeds work too', JSON.stringify(numeric.roles) === JSON.stringify(other.roles));
+
+// ---- Bad seeds ----
+for (const [label, seed] of [['an object', { a: 1 }], ['a negative number', -1], ['a fraction', 1.5], ['an empty string', '']]) {
+  const res = await create({ name: 'Alice', seed });
+  check(`${label} is not a seed`, res.status === 400 && /invalid seed/i.test((await res.json()).error));
+}
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
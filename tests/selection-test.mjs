@@ -1,8 +1,9 @@
 // D8: team selection must not leak between games (ghost player ids).
 // A jsdom host tab plays two games back to back in the same tab. In game A the
-// host-as-leader picks 2 players, then leaves; in game B (same quest size) the
+// host-as-leader picks 1 player, then leaves; in game B (same quest size) the
 // selector must start empty — pre-fix it showed game A's picks pre-selected.
-// Leader is random, so we retry games until the host draws leader.
+// Both games are created with a fixed dev seed under which the host (first
+// seat) draws leader, so no game has to be replayed until the deal comes up.
 import { JSDOM } from 'jsdom';
 import WebSocket from 'ws';
 import fs from 'fs';
@@ -14,6 +15,10 @@ const wsTransport = fs.readFileSync(`${ROOT}/public/ws-transport.js`, 'utf8');
 html = html.replace('<script src="/ws-transport.js"></script>', `<script>${wsTransport}</script>`);
 html = html.replace(/<script src="https:\/\/cdn[^"]*"><\/script>/, '');
 
+// With six players seated Alice, Bob, Carl, Dave, Erin, Fran, this seed makes
+// Alice (the host) the first leader.
+const HOST_LEADS_SEED = 'alice-leads';
+
 const wait = (ms) => new Promise(r => setTimeout(r, ms));
 let pass = 0, fail = 0;
 const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
@@ -22,7 +27,11 @@ const dom = new JSDOM(html, {
   runScripts: 'dangerously', url: `${BASE}/`,
   beforeParse(w) {
     w.WebSocket = WebSocket;
-    w.fetch = (u, o) => fetch(u.startsWith('http') ? u : BASE + u, o);
+    // Seed every game the UI creates (the app itself never sends a seed)
+    w.fetch = (u, o) => {
+      if (u === '/api/create') o = { ...o, body: JSON.stringify({ ...JSON.parse(o.body), seed: HOST_LEADS_SEED }) };
+      return fetch(u.startsWith('http') ? u : BASE + u, o);
+    };
     w.alert = () => {}; w.confirm = () => true;
   }
 });
@@ -72,36 +81,32 @@ function leaveGame(raws) {
   return wait(400);
 }
 
-// Retry until the host draws leader (1/6 per game).
 async function gameWithHostAsLeader(label) {
-  for (let i = 0; i < 30; i++) {
-    const g = await newGameAsHost();
-    if (g.isLeader) { console.log(`  (${label}: host drew leader on attempt ${i + 1})`); return g; }
-    await leaveGame(g.raws);
-  }
-  throw new Error('host never drew leader in 30 games');
+  const g = await newGameAsHost();
+  if (!g.isLeader) throw new Error(`${label}: the seeded deal did not make the host leader`);
+  return g;
 }
 
 const proposeText = () => w.document.getElementById('btn-propose').textContent.trim();
 const selectedCount = () => w.document.querySelectorAll('#team-selector .team-player.selected').length;
 
-// --- Game A: host picks 2 players, then leaves mid-selection ---
+// --- Game A: host picks 1 of the 2 players quest 1 needs, then leaves mid-selection ---
 const gameA = await gameWithHostAsLeader('game A');
-const picks = [...w.document.querySelectorAll('#team-selector .team-player')].slice(0, 2);
+const picks = [...w.document.querySelectorAll('#team-selector .team-player')].slice(0, 1);
 picks.forEach(el => el.click());
-check('game A: two players selected', selectedCount() === 2);
-check('game A: propose button shows 2/3', /2\/3/.test(proposeText()));
+check('game A: one player selected', selectedCount() === 1);
+check('game A: propose button shows 1/2', /1\/2/.test(proposeText()));
 await leaveGame(gameA.raws);
 
 // --- Game B: same tab, same quest size — selection must start EMPTY ---
 const gameB = await gameWithHostAsLeader('game B');
 check('game B: no ghost selections from game A', selectedCount() === 0);
-check('game B: propose button shows 0/3', /0\/3/.test(proposeText()));
+check('game B: propose button shows 0/2', /0\/2/.test(proposeText()));
 check('game B: propose disabled', w.document.getElementById('btn-propose').disabled);
 
 // --- Same game: selection survives a re-render (the property we must keep) ---
-[...w.document.querySelectorAll('#team-selector .team-player')].slice(0, 3).forEach(el => el.click());
-check('game B: three picked', selectedCount() === 3);
+[...w.document.querySelectorAll('#team-selector .team-player')].slice(0, 2).forEach(el => el.click());
+check('game B: two picked', selectedCount() === 2);
 // A state broadcast re-render happens when someone reconnects; simulate by
 // killing + rejooining a raw player, which broadcasts twice.
 gameB.raws[0].terminate();
@@ -110,8 +115,8 @@ await rawJoin(JSON.parse(w.sessionStorage.getItem('mightymen_game')).code, 'Bob'
 await wait(600);
 check('game B: selection survived broadcasts within same quest',
   w.document.getElementById('team-selector') === null /* leader UI early-returns; if selector was rebuilt it would still show selections */
-  || selectedCount() === 3);
-check('game B: propose still shows 3/3', /3\/3/.test(proposeText()));
+  || selectedCount() === 2);
+check('game B: propose still shows 2/2', /2\/2/.test(proposeText()));
 
 console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
 process.exit(fail ? 1 : 0);
@@ -0,0 +1,78 @@
+// Balance simulator (scripts/simulate.mjs). Runs the CLI on small grids — no
+// server needed. Verifies: the JSON report's tallies add up across the overall
+// numbers, every breakdown and every configuration; the grid is what the
+// options asked for; the role sweep deals every legal choice of optional roles;
+// both strategies finish their games; the bots don't hand one side the game;
+// the same --seed gives the same numbers; CSV has a row per tally; and bad
+// options are refused.
+import { spawnSync } from 'child_process';
+import { OPTIONAL_ROLES, resolveRoleSetup } from '../src/game-logic.js';
+
+const ROOT = decodeURIComponent(new URL('..', import.meta.url).pathname).replace(/\/$/, '');
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+function simulate(...args) {
+  const run = spawnSync(process.execPath, [`${ROOT}/scripts/simulate.mjs`, ...args], { encoding: 'utf8', timeout: 120000 });
+  return { status: run.status, out: run.stdout, err: run.stderr };
+}
+const report = (...args) => JSON.parse(simulate(...args).out);
+const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+
+// ---- The default grid ----
+const r = report('--games', '10', '--seed', 'grid');
+check('every configuration is played --games times',
+  r.configs.length === 6 * 2 * 2 && r.configs.every(c => c.games === 10) && r.overall.games === 240);
+check('the report says how to reproduce it', r.seed === 'grid' && r.strategy === 'bots' && r.gamesPerConfig === 10);
+check('player counts 5-10, both quest tables and reject limits by default',
+  r.players.map(p => p.players).join() === '5,6,7,8,9,10' &&
+  r.questTable.map(q => q.questTable).join() === 'standard,house' &&
+  r.rejectLimit.map(q => q.rejectLimit).join() === 'evilWins,hammer');
+check('each breakdown adds up to the whole', ['players', 'specialRoles', 'questTable', 'rejectLimit', 'ephod'].every(key =>
+  sum(r[key], 'games') === 240 && sum(r[key], 'goodWins') === r.overall.goodWins));
+const outcomes = (t) => t.threeQuestsFailed + t.fiveRejections + t.samuelAssassinated + t.samuelSurvived;
+check('every game ends one of four ways, and the winner matches',
+  [r.overall, ...r.configs].every(t => outcomes(t) === t.games && t.goodWins === t.samuelSurvived &&
+    t.goodWins + t.evilWins === t.games));
+check('win rates are good wins over games', r.configs.every(c => c.goodWinRate === Number((c.goodWins / c.games).toFixed(4))));
+check('the standard setup adds Doeg from 7 players', r.specialRoles.map(s => s.specialRoles).join() ===
+  'samuel+david+saul+phinehas,samuel+david+saul+phinehas+doeg');
+check('the same seed gives the same numbers', JSON.stringify(report('--games', '10', '--seed', 'grid')) === JSON.stringify(r));
+
+// ---- The bots play both sides ----
+// Numbers from the default strategy should say something about the rules, not
+// about a bot that gives itself away
+const small = report('--games', '50', '--players', '5-7', '--seed', 'balance').overall;
+check('good wins a fair share of games with the bots', small.goodWinRate >= 0.14);
+check("Saul's strike finds Samuel less than half the time",
+  small.samuelAssassinated < (small.samuelAssassinated + small.samuelSurvived) / 2);
+
+// ---- Narrowing and widening the grid ----
+const seven = report('--games', '3', '--players', '7', '--roles', 'all', '--quest-table', 'house',
+  '--reject-limit', 'hammer', '--ephod', 'both', '--strategy', 'naive');
+let legal = 0;
+for (let mask = 0; mask < 2 ** OPTIONAL_ROLES.length; mask++) {
+  if (!resolveRoleSetup(7, OPTIONAL_ROLES.filter((_, i) => mask & (1 << i))).error) legal++;
+}
+check('--roles all deals every legal choice of optional roles',
+  seven.specialRoles.length === legal && seven.configs.length === legal * 2 && seven.specialRoles.some(s => s.specialRoles === 'samuel+saul'));
+check('--ephod both plays with and without it', seven.ephod.map(e => e.ephod).join() === 'false,true');
+check('the naive strategy finishes every game', seven.overall.games === legal * 2 * 3 && seven.strategy === 'naive');
+
+// ---- CSV ----
+const csv = simulate('--games', '2', '--players', '5,6', '--quest-table', 'standard', '--format', 'csv', '--seed', 'csv').out.trim().split('\n');
+check('CSV: a header, then overall, the breakdowns and each configuration',
+  csv[0] === 'group,value,games,goodWins,evilWins,goodWinRate,threeQuestsFailed,fiveRejections,samuelAssassinated,samuelSurvived' &&
+  /^overall,all,8,/.test(csv[1]) && csv.filter(l => l.startsWith('players,')).length === 2 &&
+  csv.filter(l => l.startsWith('config,')).length === 4);
+check('CSV quotes values with spaces', csv.some(l => l.startsWith('config,"5p samuel+david+saul+phinehas standard evilWins",2,')));
+
+// ---- Refusals ----
+const refused = (args, pattern) => { const run = simulate(...args); return run.status === 2 && pattern.test(run.err) && run.out === ''; };
+check('player counts outside the table are refused', refused(['--players', '4-6'], /between 5 and 16/));
+check('unknown variants are refused', refused(['--quest-table', 'giant'], /--quest-table must be from standard, house/));
+check('unknown strategies are refused', refused(['--strategy', 'clever'], /--strategy must be from bots, naive/));
+check('--games must be a positive whole number', refused(['--games', '0'], /positive whole number/));
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -84,7 +84,7 @@ const leaderRaw = Object.values(players).find(p => p.identity?.playerId === lead
 check('team_selection: beep count sane (0 or 1)', afterStart === 0 || afterStart === 1);
 
 // Propose → team_vote: host hasn't voted → exactly +1.
-const team = anyRaw.state.players.slice(0, 3).map(p => p.id);
+const team = anyRaw.state.players.slice(0, anyRaw.state.questSizes[0]).map(p => p.id);
 if (leaderRaw) act(leaderRaw, 'propose', { team });
 else w.doAction('propose', { team });
 await wait(500);
@@ -0,0 +1,134 @@
+// Spectators. Anyone with the game code can watch (hello with spectate:true)
+// at any phase: they are not in game.players, get the public view with no
+// roles and no knowledge, and can't act. The host can turn spectators off in
+// the lobby, which also shows current spectators out. Verifies: watching from
+// the lobby and from mid-game; the table sees who is watching; what a
+// spectator sees on the vote and vote result screens and that no role ever
+// reaches them; actions are refused; leaving drops them from the list; a game
+// closed to spectators refuses them; and, in tabs, the watching bar, and the
+// game screen, vote screen and result footer of a spectator who came mid-game.
+import WebSocket from 'ws';
+import { waitFor, joinClient } from './helpers.mjs';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [], removed: null, raw: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      p.raw.push(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'removed') p.removed = m.message;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+async function expectError(p, action, data, pattern) {
+  p.errors = [];
+  act(p, action, data);
+  return waitFor(() => p.errors.some(e => pattern.test(e)));
+}
+
+async function newGame(options) {
+  const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice', options }) })).json();
+  const host = await connect(created.gameCode, { playerId: created.playerId, token: created.token });
+  return { code: created.gameCode, host };
+}
+
+// ---- Watching from the lobby ----
+const { code, host } = await newGame();
+check('spectators are allowed by default', host.state.options.allowSpectators === true);
+const kim = await connect(code, { spectate: true, name: 'Kim' });
+check('a spectator gets the lobby, with no seat and no identity',
+  kim.state.phase === 'lobby' && kim.state.spectator === true && kim.identity === null && kim.knowledge === null);
+check('a spectator is not a player', kim.state.playerCount === 1 && kim.state.myId === undefined);
+check('the table sees who is watching', await waitFor(() => host.state.spectators.map(s => s.name).join() === 'Kim'));
+check("a spectator can't act", await expectError(kim, 'leave', {}, /spectators can't play/i));
+
+const players = [host];
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) { players.push(await connect(code, { name: n })); await wait(40); }
+await waitFor(() => host.state.playerCount === 6);
+act(host, 'start');
+await waitFor(() => players.every(p => p.knowledge));
+check('the game starts around the spectator', await waitFor(() => kim.state.phase === 'team_selection'));
+
+// ---- Watching from mid-game ----
+const lee = await connect(code, { spectate: true, name: 'Lee' });
+check('a late arrival can watch mid-game', lee.state.phase === 'team_selection' && lee.state.spectator === true);
+check('everyone sees both spectators', await waitFor(() => host.state.spectators.length === 2));
+
+const s = host.state;
+const byId = (id) => players.find(p => p.identity.playerId === id);
+act(byId(s.players[s.leaderIndex].id), 'propose', { team: s.players.slice(0, s.questSizes[0]).map(p => p.id) });
+await waitFor(() => kim.state.phase === 'team_vote');
+act(players[1], 'vote', { approve: false });
+check('spectators see who has voted', await waitFor(() => kim.state.votedPlayers?.length === 1));
+check('...but have no vote of their own', kim.state.hasVoted === undefined);
+check("a spectator's vote is refused", await expectError(kim, 'vote', { approve: true }, /spectators can't play/i));
+for (const p of players) act(p, 'vote', { approve: true });
+await waitFor(() => kim.state.phase === 'vote_result');
+check('spectators see the vote result', kim.state.lastVoteResult?.approveCount === 5 && kim.state.voteDetails?.length === 6);
+check('no role ever reached a spectator',
+  [...kim.raw, ...lee.raw].every(m => !/"role":"/.test(m)) && kim.knowledge === null && lee.knowledge === null);
+
+lee.ws.close();
+check('a spectator who leaves drops off the list', await waitFor(() => host.state.spectators.map(s => s.name).join() === 'Kim'));
+for (const p of [...players, kim]) p.ws.close();
+
+// ---- The host says no ----
+const closed = await newGame({ allowSpectators: false });
+const refused = await connect(closed.code, { spectate: true, name: 'Max' }).then(() => null, (e) => e.message);
+check('a game closed to spectators refuses them', /not open to spectators/.test(refused || ''));
+act(closed.host, 'setOptions', { options: { allowSpectators: true } });
+await waitFor(() => closed.host.state.options.allowSpectators === true);
+const max = await connect(closed.code, { spectate: true, name: 'Max' });
+act(closed.host, 'setOptions', { options: { allowSpectators: false } });
+check('turning spectators off shows them out',
+  await waitFor(() => /closed the game to spectators/.test(max.removed || '') && max.ws.readyState === WebSocket.CLOSED));
+check('...and off the list', await waitFor(() => closed.host.state.spectators.length === 0));
+closed.host.ws.close();
+
+// ============ Client rendering ============
+// A table where results wait for everyone: Alice opens it in a tab too, and
+// Kim comes to watch once the game is under way
+
+const table = await newGame({ continueMode: 'acknowledge', ackSeconds: 30 });
+const seated = [table.host];
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) { seated.push(await connect(table.code, { name: n })); await wait(40); }
+await waitFor(() => table.host.state.playerCount === 6);
+const aliceTab = await joinClient(table.code, 'Alice');
+const $ = (w, x) => w.document.getElementById(x);
+check('no bar when nobody is watching', $(aliceTab, 'spectator-bar').classList.contains('hidden'));
+act(table.host, 'start');
+await waitFor(() => seated.every(p => p.knowledge));
+const kimTab = await joinClient(table.code, 'Kim', { spectate: true });
+check('a spectator arriving mid-game lands on the game', !$(kimTab, 'screen-game').classList.contains('hidden'));
+check("a spectator is told they can't play, and has no identity card",
+  /can't play/.test($(kimTab, 'spectator-bar').textContent) && $(kimTab, 'role-reveal').classList.contains('hidden'));
+check('players see who is watching', await waitFor(() => /Watching: Kim/.test($(aliceTab, 'spectator-bar').textContent)));
+
+const t = table.host.state;
+act(seated.find(p => p.state.isLeader), 'propose', { team: t.players.slice(0, t.questSizes[0]).map(p => p.id) });
+act(seated[1], 'vote', { approve: true });
+check('no vote buttons for a spectator', await waitFor(() => /Voted/.test($(kimTab, 'phase-content').textContent)) &&
+  !$(kimTab, 'btn-approve'));
+for (const p of seated) act(p, 'vote', { approve: true });
+check('no Got it for a spectator', await waitFor(() => /Waiting on 6 players/.test($(kimTab, 'ack-waiting')?.textContent)) &&
+  !$(kimTab, 'btn-acknowledge'));
+for (const p of seated) p.ws.close();
+for (const w of [aliceTab, kimTab]) w.close();
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,140 @@
+// Mid-game seat substitution. The host gives a player's seat to someone new,
+// who joins with the game code and their own name and takes over the seat:
+// same id, so the same role, knowledge and anything still owed. Verifies: only
+// the host can, only mid-game, never the host's own seat, and not to a name
+// already at the table; the old player is told and signed out, and their token
+// (or their old name) no longer gets them in; the newcomer inherits the role
+// and casts the seat's missing vote; everyone gets a history line; the
+// substitution can't be undone and rebuilds from the log; and the client's
+// panel, notice and history line.
+import WebSocket from 'ws';
+import { waitFor, joinClient } from './helpers.mjs';
+import { createGame, rebuildGame, getPlayerKnowledge, getPublicGameState, GameActions } from '../src/game-logic.js';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [], removed: null };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'removed') p.removed = m.message;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+const refused = (hello) => connect(code, hello).then(() => null, (e) => e.message);
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+async function expectError(p, action, data, pattern) {
+  p.errors = [];
+  act(p, action, data);
+  return waitFor(() => p.errors.some(e => pattern.test(e)));
+}
+
+const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice' }) })).json();
+const code = created.gameCode;
+const alice = await connect(code, { playerId: created.playerId, token: created.token });
+const players = [alice];
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) { players.push(await connect(code, { name: n })); await wait(40); }
+await waitFor(() => alice.state.playerCount === 6);
+const [, bob, carl] = players;
+const seat = bob.identity.playerId;
+
+check('not in the lobby', await expectError(alice, 'substitute', { targetId: seat, name: 'Gil' }, /once the game has started/));
+act(alice, 'start');
+await waitFor(() => players.every(p => p.knowledge));
+const role = bob.knowledge.role;
+
+// ---- Refusals ----
+check('only the host can hand over a seat', await expectError(carl, 'substitute', { targetId: seat, name: 'Gil' }, /only the host/i));
+check("not the host's own seat", await expectError(alice, 'substitute', { targetId: alice.identity.playerId, name: 'Gil' }, /someone else host/));
+check('not to a name already at the table', await expectError(alice, 'substitute', { targetId: seat, name: 'carl' }, /already taken/));
+check('a name is needed', await expectError(alice, 'substitute', { targetId: seat, name: '  ' }, /name is required/i));
+
+// ---- Bob goes home with a vote still owed ----
+const s = alice.state;
+const leader = players.find(p => p.identity.playerId === s.players[s.leaderIndex].id);
+act(leader, 'propose', { team: s.players.slice(0, s.questSizes[0]).map(p => p.id) });
+await waitFor(() => alice.state.phase === 'team_vote');
+for (const p of players) if (p !== bob) act(p, 'vote', { approve: true });
+await waitFor(() => alice.state.votedPlayers?.length === 5);
+
+act(alice, 'substitute', { targetId: seat, name: 'Gil' });
+check('the old player is told who has their seat', await waitFor(() => /gave your seat to Gil/.test(bob.removed || '')));
+check('...and disconnected', await waitFor(() => bob.ws.readyState === WebSocket.CLOSED));
+const others = players.filter(p => p !== bob);
+check('everyone sees the swap in the history', await waitFor(() => others.every(p => {
+  const line = p.state.history.at(-1);
+  return line.type === 'substitute' && line.playerId === seat && line.previousName === 'Bob' && line.name === 'Gil';
+})));
+const gilSeat = alice.state.players.find(p => p.id === seat);
+check('the seat is Gil\'s, empty until they arrive', gilSeat.name === 'Gil' && gilSeat.connected === false);
+check('the vote is still waiting on the seat', alice.state.phase === 'team_vote');
+
+// ---- The newcomer takes the seat ----
+const gil = await connect(code, { name: 'Gil' });
+check('Gil joins mid-game into the seat', gil.identity.playerId === seat && gil.state.myName === 'Gil');
+check('Gil inherits the role', gil.knowledge.role === role);
+check('Gil owes the seat\'s vote', gil.state.phase === 'team_vote' && gil.state.hasVoted === false);
+check('whoever could see the seat sees it under the new name', others.every(p =>
+  (p.knowledge.sees || []).filter(x => x.id === seat).every(x => x.name === 'Gil')));
+act(gil, 'vote', { approve: true });
+check("Gil's vote completes the tally", await waitFor(() => alice.state.phase === 'vote_result'));
+
+// ---- The old identity is dead ----
+check("Bob's token no longer works",
+  /unknown player/i.test(await refused({ playerId: seat, token: bob.identity.token })));
+check("nor does Bob's name", /already started/i.test(await refused({ playerId: seat, token: bob.identity.token, name: 'Bob' })));
+
+// ---- In game-logic.js alone ----
+const local = createGame('Alice', { seed: 'substitute' });
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) GameActions.join(local, n);
+GameActions.start(local, local.players[0].id);
+const lead = local.players[local.leaderIndex].id;
+GameActions.propose(local, lead, local.players.slice(0, 2).map(p => p.id));
+const before = getPlayerKnowledge(local, local.players[2].id);
+GameActions.substitute(local, local.players[0].id, local.players[2].id, 'Hana');
+check('the seat keeps its knowledge', JSON.stringify(getPlayerKnowledge(local, local.players[2].id)) ===
+  JSON.stringify(before));
+check('a substitution is not what undo takes back',
+  getPublicGameState(local, local.players[0].id).undoTarget.action === 'propose');
+check('the log rebuilds the seat under its new name', JSON.stringify(rebuildGame(local.events).players.map(p => p.name)) ===
+  JSON.stringify(local.players.map(p => p.name)));
+
+// ============ Client rendering ============
+// Back at the server's table, Dave drops out; Alice and Carl open the game in a tab too
+
+const dave = players[3];
+dave.ws.close();
+await waitFor(() => alice.state.players[3].connected === false);
+const aliceTab = await joinClient(code, 'Alice');
+const carlTab = await joinClient(code, 'Carl');
+const $ = (w, x) => w.document.getElementById(x);
+const options = () => [...$(aliceTab, 'substitute-target').options].map(o => o.textContent);
+check('the host can give away any seat but their own', await waitFor(() => !$(aliceTab, 'seat-substitute').classList.contains('hidden')) &&
+  JSON.stringify(options()) === '["Gil","Carl","Dave (disconnected)","Erin","Fran"]');
+check('nobody else sees the panel', $(carlTab, 'seat-substitute').classList.contains('hidden'));
+check('history line', [...carlTab.document.querySelectorAll('#history-log li')].some(li => li.textContent === "Gil took over Bob's seat"));
+
+$(aliceTab, 'substitute-target').value = dave.identity.playerId;
+$(aliceTab, 'substitute-name').value = 'Hana';
+$(aliceTab, 'btn-substitute').click();
+check('everyone is told', await waitFor(() =>
+  carlTab.document.querySelector('.seat-change-notice')?.textContent === "Hana took over Dave's seat"));
+check('...and the seat is Hana\'s', await waitFor(() => JSON.stringify(options()) === '["Gil","Carl","Hana (disconnected)","Erin","Fran"]'));
+for (const p of [...others, gil]) p.ws.close();
+for (const w of [aliceTab, carlTab]) w.close();
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
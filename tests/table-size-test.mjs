@@ -0,0 +1,77 @@
+// Table sizes at both ends: 5-player games (3 good / 2 evil, 2-3-2-3-3 quests)
+// and large games up to 16 (10 good / 6 evil, 4-5-5-6-6 quests). Verifies the
+// limits are public, the 17th join is refused, and both extremes start and deal
+// the right split.
+import WebSocket from 'ws';
+import { waitFor } from './helpers.mjs';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+async function newTable(size) {
+  const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'P1' }) })).json();
+  const host = await connect(created.gameCode, { playerId: created.playerId, token: created.token });
+  const players = [host];
+  for (let i = 2; i <= size; i++) { players.push(await connect(created.gameCode, { name: `P${i}` })); await wait(40); }
+  await waitFor(() => host.state.playerCount === size);
+  return { code: created.gameCode, host, players };
+}
+const evilCount = (players) => players.filter(p => p.knowledge.isEvil).length;
+
+// ============ 5 players ============
+
+const small = await newTable(4);
+check('limits are public', small.host.state.minPlayers === 5 && small.host.state.maxPlayers === 16);
+small.host.errors = [];
+act(small.host, 'start');
+check('4 players cannot start', await waitFor(() => small.host.errors.some(e => /at least 5 players/i.test(e))));
+
+small.players.push(await connect(small.code, { name: 'P5' }));
+await waitFor(() => small.host.state.playerCount === 5);
+act(small.host, 'start');
+check('5 players can start', await waitFor(() => small.host.state.phase === 'team_selection'));
+await waitFor(() => small.players.every(p => p.knowledge && p.knowledge.role));
+check('5 players: 2 evil', evilCount(small.players) === 2);
+check('5 players: quests 2-3-2-3-3, one Fail each',
+  same(small.host.state.questSizes, [2, 3, 2, 3, 3]) && same(small.host.state.questFailRequirements, [1, 1, 1, 1, 1]));
+
+// ============ 16 players ============
+
+const big = await newTable(16);
+let rejected = null;
+try { await connect(big.code, { name: 'P17' }); } catch (e) { rejected = e.message; }
+check('17th player is refused', /game is full/i.test(rejected || ''));
+check('still 16 players', big.host.state.playerCount === 16);
+
+act(big.host, 'start');
+check('16 players can start', await waitFor(() => big.host.state.phase === 'team_selection'));
+await waitFor(() => big.players.every(p => p.knowledge && p.knowledge.role));
+check('16 players: 6 evil', evilCount(big.players) === 6);
+check('16 players: quests 4-5-5-6-6, two Fails on quest 4',
+  same(big.host.state.questSizes, [4, 5, 5, 6, 6]) && same(big.host.state.questFailRequirements, [1, 1, 1, 2, 1]));
+
+for (const p of [...small.players, ...big.players]) p.ws.close();
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
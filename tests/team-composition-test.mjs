@@ -1,10 +1,12 @@
 // Verifies the lobby's "how many bad guys?" role-breakdown table: it lists
-// every supported player count with the correct good/evil split, notes when
-// Doeg joins (evil >= 3), and highlights the row matching the current lobby
-// size as players join.
+// every supported player count with the correct good/evil split, notes the
+// evil roles only some sizes are dealt (Doeg from 3 evil, in the standard
+// setup; none once the host leaves him out), and highlights the row matching
+// the current lobby size as players join.
 import { JSDOM } from 'jsdom';
 import WebSocket from 'ws';
 import fs from 'fs';
+import { waitFor } from './helpers.mjs';
 
 const BASE = 'http://localhost:8799';
 const ROOT = decodeURIComponent(new URL('..', import.meta.url).pathname).replace(/\/$/, '');
@@ -51,7 +53,7 @@ const rowFor = (n) => {
 };
 
 // Host creates the game (1 player) — the reference table should already be
-// present even below the 6-player minimum, since it's a static reference.
+// present even below the 5-player minimum, since it's a static reference.
 w.document.getElementById('host-name').value = 'Alice';
 w.createGame();
 let session = null;
@@ -59,11 +61,15 @@ for (let i = 0; i < 50 && !session; i++) { await wait(150); session = w.sessionS
 if (!session) throw new Error('createGame never settled');
 const code = JSON.parse(session).code;
 
-check('table lists all 7 supported sizes (6-12)',
-  [6, 7, 8, 9, 10, 11, 12].every(n => rowFor(n)));
+check('table lists all 12 supported sizes (5-16)',
+  [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16].every(n => rowFor(n)));
+check('no rows outside the supported sizes', !rowFor(4) && !rowFor(17));
+check('5 players: 3 good / 2 evil, no Doeg note', /5 players.*?3 Good.*?2 Evil(?!.*incl\. Doeg)/s.test(rowFor(5)[0]));
 check('6 players: 4 good / 2 evil, no Doeg note', /6 players.*?4 Good.*?2 Evil(?!.*incl\. Doeg)/s.test(rowFor(6)[0]));
 check('7 players: 4 good / 3 evil, WITH Doeg note', /7 players.*?4 Good.*?3 Evil.*?incl\. Doeg/s.test(rowFor(7)[0]));
 check('12 players: 8 good / 4 evil, WITH Doeg note', /12 players.*?8 Good.*?4 Evil.*?incl\. Doeg/s.test(rowFor(12)[0]));
+check('16 players: 10 good / 6 evil, WITH Doeg note', /16 players.*?10 Good.*?6 Evil.*?incl\. Doeg/s.test(rowFor(16)[0]));
+check('player count shows the 16-player limit', w.document.getElementById('max-players').textContent === '16');
 check('with only 1 player, no row is highlighted as current', !/class="team-comp-row current"/.test(tableText()));
 
 // Five more join -> 6 players -> the 6-player row should now be highlighted.
@@ -82,5 +88,10 @@ check('after a 7th joins, highlight moves to the 7-player row',
   /current">\s*<span class="team-comp-count">7 players/.test(tableText()));
 check('the 6-player row is no longer highlighted', !/current">\s*<span class="team-comp-count">6 players/.test(tableText()));
 
+// The notes follow the server's setup: a host who leaves Doeg out gets none
+w.doAction('setOptions', { options: { roles: ['david', 'phinehas'] } });
+await waitFor(() => w.eval('gameState.options.roles').join() === 'david,phinehas');
+check('with Doeg left out of the setup, no row mentions him', !/incl\. Doeg/.test(tableText()) && !!rowFor(7));
+
 console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
 process.exit(fail ? 1 : 0);
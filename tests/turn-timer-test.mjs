@@ -0,0 +1,198 @@
+// Turn timers (options.turnSeconds). Team selection, voting, quests, the
+// Ephod and the assassination each get a server deadline; GameRoom's alarm
+// calls GameActions.timeOut() when it passes, which plays whatever is missing:
+// a random team or the lead passed on as a rejection (proposalTimeout),
+// missing votes as voteTimeout, missing quest cards as Success, the Ephod to a
+// random player, and Samuel surviving or a random strike
+// (assassinationTimeout). Timers are a minute or more, so the outcomes are checked in
+// game-logic.js alone; the server part checks the deadline and the clock it is
+// shown against. Verifies each outcome, that seeded random picks are
+// reproducible and rebuild from the log, that a timeout can't be undone and
+// doesn't run while paused, that a game with timeouts replays, and the
+// timer line in a tab watching the game.
+import WebSocket from 'ws';
+import { waitFor, joinClient } from './helpers.mjs';
+import { createGame, rebuildGame, buildGameRecord, replayGameRecord, isEvil, hasAbility, GameActions } from '../src/game-logic.js';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; p.serverTime = m.serverTime; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+// A started local game with these options; `seed` makes it reproducible
+function localGame(options, seed = 'timers') {
+  const game = createGame('Alice', { seed });
+  for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) GameActions.join(game, n);
+  GameActions.setOptions(game, game.players[0].id, options);
+  GameActions.start(game, game.players[0].id);
+  return game;
+}
+const hostId = (game) => game.players[0].id;
+const leaderId = (game) => game.players[game.leaderIndex].id;
+const expire = (game) => GameActions.timeOut(game, game.turnDeadline);
+const lastTypes = (game, n) => game.history.slice(-n).map(e => e.type).join(',');
+
+// ---- Options ----
+const untimed = localGame({});
+check('no timer by default', untimed.turnDeadline === null && GameActions.timeOut(untimed, Date.now() + 1e9) === false);
+const lobby = createGame('Alice');
+const refused = (() => { try { GameActions.setOptions(lobby, lobby.players[0].id, { turnSeconds: 45 }); } catch (e) { return e.message; } })();
+check('a time limit must be one of the choices', /turnSeconds/.test(refused || ''));
+
+// ---- The leader runs out of time: a random team ----
+const a = localGame({ turnSeconds: 60 });
+const started = a.events.find(e => e.type === 'start').at;
+check('team selection is timed from the start', a.turnDeadline === started + 60000);
+check('not before the deadline', GameActions.timeOut(a, a.turnDeadline - 1) === false && a.phase === 'team_selection');
+const leader = leaderId(a);
+expire(a);
+check('a random team of the right size is proposed for the leader',
+  a.phase === 'team_vote' && a.proposedTeam.length === a.questSizes[0] && new Set(a.proposedTeam).size === a.proposedTeam.length &&
+  a.history.at(-1).leaderId === leader);
+check('the history says time ran out, then shows the proposal',
+  lastTypes(a, 2) === 'timeout,proposal' && a.history.at(-2).playerIds[0] === leader);
+check('the vote gets its own clock', a.turnDeadline === a.events.at(-1).at + 60000);
+const again = localGame({ turnSeconds: 60 });
+expire(again);
+const seats = (game) => JSON.stringify(game.proposedTeam.map(id => game.players.findIndex(p => p.id === id)));
+check('the same seed draws the same team', seats(again) === seats(a));
+check('the log rebuilds the same game', JSON.stringify(rebuildGame(a.events)) === JSON.stringify(a));
+
+// ---- Missing votes count as Reject ----
+GameActions.vote(a, a.players[1].id, true);
+expire(a);
+check('missing votes count as Reject',
+  a.phase === 'vote_result' && a.lastVoteResult.approveCount === 1 && a.lastVoteResult.rejectCount === 5);
+check('no clock on the result screen', a.turnDeadline === null);
+const undo = (() => { try { GameActions.requestUndo(a, hostId(a)); } catch (e) { return e.message; } })();
+check('a timeout cannot be undone', /moved on by itself/.test(undo || ''));
+
+// ---- The lead passes on ----
+const b = localGame({ turnSeconds: 120, proposalTimeout: 'pass', leaderOnTeam: true });
+const first = b.leaderIndex;
+expire(b);
+check('the lead passes to the next player, counted as a rejection',
+  b.phase === 'team_selection' && b.leaderIndex === (first + 1) % 6 && b.rejectCount === 1);
+check('the new leader gets a full turn', b.turnDeadline === b.events.at(-1).at + 120000);
+for (let i = 1; i < 5; i++) expire(b);
+check('a table where nobody leads ends after five passes', b.phase === 'game_over' && b.winner === 'evil' &&
+  lastTypes(b, 2) === 'timeout,gameOver');
+const passed = (() => { try { return replayGameRecord(buildGameRecord(b)); } catch (e) { return e.message; } })();
+check('...and replays', passed.steps?.at(-1)?.winner === 'evil');
+const h = localGame({ turnSeconds: 60, proposalTimeout: 'pass', rejectLimit: 'hammer' });
+for (let i = 0; i < 4; i++) expire(h);
+check('four passes bring on the hammer', h.phase === 'team_selection' && h.rejectCount === 4);
+expire(h);
+check("the hammer isn't passed: a random team goes straight to the quest",
+  h.phase === 'quest' && h.history.at(-2).outcome === 'random' && h.history.at(-1).hammer === true);
+
+// ---- A whole game on timeouts: approve, Success cards, Saul at random ----
+const c = localGame({ turnSeconds: 60, voteTimeout: 'approve', leaderOnTeam: true, continueMode: 'host', assassinationTimeout: 'random' });
+expire(c);
+check('with leaderOnTeam, the random team includes the leader', c.proposedTeam.includes(c.history.at(-1).leaderId));
+for (let q = 0; q < 3; q++) {
+  if (q > 0) expire(c);
+  expire(c);
+  GameActions.continueFromVote(c, hostId(c));
+  expire(c);
+  check(`quest ${q + 1}: missing cards count as Success`, c.phase === 'quest_result' && c.questResults[q].success);
+  GameActions.continueFromQuest(c, hostId(c));
+}
+check('three quests in: the assassination is timed', c.phase === 'assassination' && c.turnDeadline !== null);
+expire(c);
+const strike = c.history.find(e => e.type === 'assassination');
+const roleOf = (id) => c.players.find(p => p.id === id).role;
+check('Saul strikes a random good player',
+  c.phase === 'game_over' && hasAbility(roleOf(strike.assassinId), 'assassinate') && !isEvil(roleOf(strike.targetId)));
+const record = buildGameRecord(c);
+const replayed = (() => { try { return replayGameRecord(record); } catch (e) { return e.message; } })();
+check('a game played on timeouts replays', replayed.steps?.at(-1)?.winner === c.winner);
+
+// ---- By default a Saul out of time strikes nobody ----
+const s = localGame({ turnSeconds: 60, voteTimeout: 'approve', continueMode: 'host' });
+for (let q = 0; q < 3; q++) {
+  expire(s);
+  expire(s);
+  GameActions.continueFromVote(s, hostId(s));
+  expire(s);
+  GameActions.continueFromQuest(s, hostId(s));
+}
+expire(s);
+check('Samuel survives', s.phase === 'game_over' && s.winner === 'good' &&
+  !s.history.some(e => e.type === 'assassination') && s.series.at(-1).assassinated === null);
+const survived = (() => { try { return replayGameRecord(buildGameRecord(s)); } catch (e) { return e.message; } })();
+check('...and replays', survived.steps?.at(-1)?.winner === 'good');
+
+// ---- The Ephod holder runs out of time ----
+const e = localGame({ turnSeconds: 60, voteTimeout: 'approve', continueMode: 'host', ephod: true });
+for (let q = 0; q < 2; q++) {
+  expire(e);
+  expire(e);
+  GameActions.continueFromVote(e, hostId(e));
+  expire(e);
+  GameActions.continueFromQuest(e, hostId(e));
+}
+check('the Ephod is timed', e.phase === 'investigation' && e.turnDeadline !== null);
+const holder = e.ephod.holderId;
+expire(e);
+const inquiry = e.history.at(-1);
+check('...and goes to a random player it has not visited', e.phase === 'team_selection' &&
+  inquiry.type === 'investigation' && inquiry.holderId === holder && inquiry.targetId !== holder && e.ephod.holderId === inquiry.targetId);
+
+// ---- Pausing stops the clock ----
+const d = localGame({ turnSeconds: 60 });
+const deadline = d.turnDeadline;
+GameActions.pause(d, hostId(d));
+check('no timeout while paused', GameActions.timeOut(d, deadline + 1000) === false);
+d.paused.at -= 10000; // as if the pause lasted ten seconds
+GameActions.resume(d, hostId(d));
+check('resuming pushes the deadline back by the pause', d.turnDeadline >= deadline + 10000);
+
+// ---- The server: deadline and clock ----
+const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice', options: { turnSeconds: 120 } }) })).json();
+const host = await connect(created.gameCode, { playerId: created.playerId, token: created.token });
+const players = [host];
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) { players.push(await connect(created.gameCode, { name: n })); await wait(40); }
+await waitFor(() => host.state.playerCount === 6);
+check('no deadline in the lobby', host.state.turnDeadline === null);
+act(host, 'start');
+await waitFor(() => players.every(p => p.state.turnDeadline));
+const left = host.state.turnDeadline - host.serverTime;
+check('everyone gets the same deadline, about two minutes out',
+  players.every(p => p.state.turnDeadline === host.state.turnDeadline) && left > 110000 && left <= 120000);
+check('state messages carry the server clock', players.every(p => typeof p.serverTime === 'number'));
+// ============ Client rendering ============
+// Kim watches the same game in a tab
+
+const tab = await joinClient(created.gameCode, 'Kim', { spectate: true });
+const timer = tab.document.getElementById('turn-timer');
+check('minutes and seconds above a minute, and what happens when time runs out', await waitFor(() =>
+  /^⏱ (2:00|1:[45]\d) left — then a random team is proposed$/.test(timer.textContent)) && !timer.classList.contains('hidden'));
+const proposer = players.find(p => p.state.isLeader);
+act(proposer, 'propose', { team: host.state.players.slice(0, host.state.questSizes[0]).map(p => p.id) });
+check('the vote has its own line', await waitFor(() => /left — then missing votes count as Reject$/.test(timer.textContent)));
+for (const p of players) act(p, 'vote', { approve: true });
+check('no timer line without a deadline', await waitFor(() => host.state.phase === 'vote_result' && timer.classList.contains('hidden')));
+for (const p of players) p.ws.close();
+tab.close();
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
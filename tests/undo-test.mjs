@@ -0,0 +1,159 @@
+// Host undo on top of the event-sourced engine. The host can take back the
+// last action; whoever took it must confirm (the host's own are undone at
+// once), and an undo that would reveal a secret is refused. Verifies: the
+// deal can't be undone; only the host asks and only the affected player
+// confirms; a confirmed undo rolls the state back and leaves an `undo` line in
+// the history; declining keeps the action; a newer action supersedes a pending
+// request; the last vote of a counts-only tally and a card once the quest
+// result is out are refused; the pending request never carries the action's
+// content; and, in game-logic.js alone, that replaying the event log rebuilds
+// exactly the live state.
+import WebSocket from 'ws';
+import { waitFor } from './helpers.mjs';
+import { createGame, rebuildGame, GameActions } from '../src/game-logic.js';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+// Seeded so that Carl, not the host, leads first
+const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice', seed: 'undo', options: { voteReveal: 'counts' } }) })).json();
+const code = created.gameCode;
+const host = await connect(code, { playerId: created.playerId, token: created.token });
+const players = [host];
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) { players.push(await connect(code, { name: n })); await wait(40); }
+await waitFor(() => host.state.playerCount === 6);
+const byId = (id) => players.find(p => p.identity.playerId === id);
+const [, bob, carl, dave] = players;
+const historyTypes = () => host.state.history.map(e => e.type);
+
+async function expectError(p, action, data, pattern) {
+  p.errors = [];
+  act(p, action, data);
+  return waitFor(() => p.errors.some(e => pattern.test(e)));
+}
+
+act(host, 'start');
+await waitFor(() => players.every(p => p.knowledge));
+const leader = byId(host.state.players[host.state.leaderIndex].id);
+check('Carl leads first', leader === carl);
+
+// ---- The deal is not undoable ----
+check('host is told the deal cannot be undone', /can't be undone/.test(host.state.undoTarget?.error || ''));
+check('requesting it anyway is refused', await expectError(host, 'requestUndo', {}, /can't be undone/));
+
+// ---- Undo a proposal: the leader confirms ----
+const team = [carl.identity.playerId, dave.identity.playerId];
+act(carl, 'propose', { team });
+await waitFor(() => host.state.phase === 'team_vote');
+check('host sees what undo would take back',
+  host.state.undoTarget?.action === 'propose' && host.state.undoTarget.playerId === carl.identity.playerId);
+check('only the host can undo', await expectError(bob, 'requestUndo', {}, /only the host/i));
+
+act(host, 'requestUndo');
+check('everyone sees the pending undo',
+  await waitFor(() => players.every(p => p.state.pendingUndo?.action === 'propose' && p.state.pendingUndo.playerId === carl.identity.playerId)));
+check('the game waits: still voting', host.state.phase === 'team_vote');
+check('a bystander cannot confirm', await expectError(bob, 'respondUndo', { accept: true }, /only carl can confirm/i));
+check('a second request is refused', await expectError(host, 'requestUndo', {}, /already waiting/i));
+
+act(carl, 'respondUndo', { accept: true });
+check('confirmed: back to team selection', await waitFor(() => host.state.phase === 'team_selection' && host.state.proposedTeam.length === 0));
+check('still Carl to lead', host.state.players[host.state.leaderIndex].id === carl.identity.playerId);
+check('the proposal is gone from the history, an undo line instead',
+  !historyTypes().includes('proposal') && historyTypes().at(-1) === 'undo' && host.state.history.at(-1).action === 'propose');
+check('nothing pending any more', players.every(p => p.state.pendingUndo === null));
+
+// ---- Undo a vote: declined, superseded, then confirmed ----
+act(carl, 'propose', { team });
+await waitFor(() => host.state.phase === 'team_vote');
+act(bob, 'vote', { approve: false });
+await waitFor(() => host.state.votedPlayers?.includes(bob.identity.playerId));
+act(host, 'requestUndo');
+await waitFor(() => bob.state.pendingUndo?.action === 'vote');
+check('the request never says how Bob voted',
+  players.every(p => JSON.stringify(Object.keys(p.state.pendingUndo).sort()) === '["action","playerId","playerName","requestedBy"]'));
+act(bob, 'respondUndo', { accept: false });
+check('declined: nothing pending', await waitFor(() => host.state.pendingUndo === null));
+check("declined: Bob's vote stands", host.state.votedPlayers.includes(bob.identity.playerId));
+
+act(host, 'requestUndo');
+await waitFor(() => host.state.pendingUndo?.playerId === bob.identity.playerId);
+act(dave, 'vote', { approve: true });
+check("a newer action supersedes the request", await waitFor(() => host.state.pendingUndo === null));
+check("now Dave's vote is the one to undo", host.state.undoTarget?.playerId === dave.identity.playerId);
+check('Bob can no longer confirm', await expectError(bob, 'respondUndo', { accept: true }, /no undo to confirm/i));
+
+act(host, 'requestUndo');
+await waitFor(() => dave.state.pendingUndo?.playerId === dave.identity.playerId);
+act(dave, 'respondUndo', { accept: true });
+check("confirmed: Dave's vote is taken back",
+  await waitFor(() => host.state.votedPlayers && !host.state.votedPlayers.includes(dave.identity.playerId) && host.state.votedPlayers.includes(bob.identity.playerId)));
+check('Dave can vote again', dave.state.hasVoted === false);
+
+// ---- The vote that completes a counts-only tally can't be undone ----
+for (const p of players) if (p !== bob) act(p, 'vote', { approve: true });
+await waitFor(() => host.state.phase === 'vote_result');
+check('undo is refused after a secret tally', /reveal how it was cast/.test(host.state.undoTarget?.error || ''));
+check('requesting it anyway is refused', await expectError(host, 'requestUndo', {}, /reveal/));
+
+// ---- The host's own action is undone without asking ----
+act(host, 'continueFromVote');
+await waitFor(() => host.state.phase === 'quest');
+act(host, 'requestUndo');
+check("host's own continue is undone at once",
+  await waitFor(() => host.state.phase === 'vote_result' && host.state.pendingUndo === null));
+act(host, 'continueFromVote');
+await waitFor(() => host.state.phase === 'quest');
+
+// ---- A quest card can be undone while it is secret, not after ----
+act(carl, 'questVote', { success: true });
+await waitFor(() => host.state.questVotedPlayers?.length === 1);
+act(host, 'requestUndo');
+await waitFor(() => carl.state.pendingUndo?.action === 'questVote');
+act(carl, 'respondUndo', { accept: true });
+check("Carl's quest card is taken back", await waitFor(() => host.state.questVotedPlayers?.length === 0));
+act(carl, 'questVote', { success: true });
+act(dave, 'questVote', { success: true });
+await waitFor(() => host.state.phase === 'quest_result');
+check('undo is refused once the quest result is out', /would reveal it/.test(host.state.undoTarget?.error || ''));
+
+// ---- Reconnecting sees the same rebuilt game ----
+const again = await connect(code, { playerId: bob.identity.playerId, token: bob.identity.token });
+check('a fresh connection sees the same history',
+  JSON.stringify(again.state.history) === JSON.stringify(host.state.history));
+
+// ---- The event log alone rebuilds the game (what GameRoom does on wake) ----
+const local = createGame('Alice', { seed: 'undo' });
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran']) GameActions.join(local, n);
+GameActions.start(local, local.players[0].id);
+const localLeader = local.players[local.leaderIndex].id;
+GameActions.propose(local, localLeader, [localLeader, local.players[3].id]);
+GameActions.requestUndo(local, local.players[0].id);
+GameActions.respondUndo(local, localLeader, true);
+GameActions.propose(local, localLeader, [localLeader, local.players[4].id]);
+GameActions.vote(local, local.players[1].id, false);
+check('rebuilding from the events gives the identical state',
+  JSON.stringify(rebuildGame(local.events)) === JSON.stringify(local));
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,139 @@
+// Rule variants and house-rule presets. Variants are game options the host sets
+// in the lobby and GameActions consult: the hammer (the fifth proposal skips the
+// vote instead of evil winning), counts-only team votes, and leader-on-team.
+// Verifies server-side validation, each variant's effect, /api/create applying
+// a preset's options (and refusing bad ones), and — in a jsdom tab — a ?rules=
+// link pre-filling the lobby plus saving/sharing a preset.
+import WebSocket from 'ws';
+import { waitFor, openClient } from './helpers.mjs';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+async function create(body) {
+  const res = await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  return { status: res.status, json: await res.json() };
+}
+async function newTable(options) {
+  const { json } = await create(options ? { name: 'Host', options } : { name: 'Host' });
+  const host = await connect(json.gameCode, { playerId: json.playerId, token: json.token });
+  const players = [host];
+  for (const n of ['P2', 'P3', 'P4', 'P5', 'P6']) { players.push(await connect(json.gameCode, { name: n })); await wait(40); }
+  await waitFor(() => host.state.playerCount === 6);
+  return { host, players, byId: (id) => players.find(p => p.identity.playerId === id) };
+}
+const leaderOf = (t) => t.byId(t.host.state.players[t.host.state.leaderIndex].id);
+
+// ============ Defaults and validation ============
+
+const a = await newTable();
+check('variants default to the classic rules',
+  a.host.state.options.rejectLimit === 'evilWins' && a.host.state.options.voteReveal === 'open' &&
+  a.host.state.options.leaderOnTeam === false && a.host.state.rejectLimit === 5);
+for (const [key, value] of [['rejectLimit', 'sudden'], ['voteReveal', true], ['leaderOnTeam', 'yes']]) {
+  a.host.errors = [];
+  act(a.host, 'setOptions', { options: { [key]: value } });
+  check(`bad ${key} rejected`, await waitFor(() => a.host.errors.some(e => new RegExp(`invalid value for ${key}`, 'i').test(e))));
+}
+
+// ============ /api/create pre-fills the lobby from a preset ============
+
+const bad = await create({ name: 'Host', options: { rejectLimit: 'sudden' } });
+check('create with a bad preset option is refused', bad.status === 400 && /invalid value for rejectLimit/i.test(bad.json.error));
+const unknown = await create({ name: 'Host', options: { teleport: true } });
+check('create with an unknown option is refused', unknown.status === 400 && /unknown option/i.test(unknown.json.error));
+
+const b = await newTable({ rejectLimit: 'hammer', voteReveal: 'counts', leaderOnTeam: true });
+check('created game starts with the preset options',
+  b.host.state.options.rejectLimit === 'hammer' && b.host.state.options.voteReveal === 'counts' && b.host.state.options.leaderOnTeam === true);
+act(b.host, 'start');
+check('preset game started', await waitFor(() => b.host.state.phase === 'team_selection'));
+
+// ============ Leader on team ============
+
+const ids = b.host.state.players.map(p => p.id);
+const size = b.host.state.questSizes[0];
+let leader = leaderOf(b);
+const without = ids.filter(id => id !== leader.identity.playerId).slice(0, size);
+leader.errors = [];
+act(leader, 'propose', { team: without });
+check('a team without the leader is refused', await waitFor(() => leader.errors.some(e => /leader must be on the team/i.test(e))));
+check('still selecting', b.host.state.phase === 'team_selection');
+
+// ============ Counts-only votes, then the hammer ============
+
+async function proposeWithLeader() {
+  leader = leaderOf(b);
+  const me = leader.identity.playerId;
+  act(leader, 'propose', { team: [me, ...ids.filter(id => id !== me).slice(0, size - 1)] });
+}
+
+for (let round = 1; round <= 4; round++) {
+  await proposeWithLeader();
+  await waitFor(() => b.host.state.phase === 'team_vote');
+  for (const p of b.players) act(p, 'vote', { approve: false });
+  await waitFor(() => b.host.state.phase === 'vote_result');
+  if (round === 1) {
+    check('counts-only: the tally is shown', b.host.state.lastVoteResult.rejectCount === 6);
+    check('counts-only: nobody receives individual votes',
+      b.players.every(p => !p.state.voteDetails && !('votes' in p.state.lastVoteResult)));
+  }
+  act(b.host, 'continueFromVote');
+  await waitFor(() => b.host.state.phase === 'team_selection' && b.host.state.rejectCount === round);
+}
+check('four rejections and the game goes on', b.host.state.phase === 'team_selection' && b.host.state.rejectCount === 4);
+await proposeWithLeader();
+check('hammer: the fifth proposal goes straight to the quest', await waitFor(() => b.host.state.phase === 'quest'));
+check('hammer: the reject track resets', b.host.state.rejectCount === 0);
+
+// ============ UI: a ?rules= link pre-fills the lobby; presets save and share ============
+
+const rules = encodeURIComponent(JSON.stringify({ name: 'Youth night', options: { rejectLimit: 'hammer', ephod: true } }));
+const w = await openClient({ path: `/?rules=${rules}` });
+check('home screen names the shared house rules',
+  /Youth night/.test(w.document.getElementById('preset-note').textContent) &&
+  !w.document.getElementById('preset-note').classList.contains('hidden'));
+
+w.document.getElementById('host-name').value = 'Zara';
+w.createGame();
+const checked = (sel) => !!w.document.querySelector(sel)?.checked;
+check('lobby is pre-filled from the link',
+  await waitFor(() => checked('input[data-choice="rejectLimit"][value="hammer"]') && checked('input[data-option="ephod"]')));
+check('host sees the presets panel', !w.document.getElementById('lobby-presets').classList.contains('hidden'));
+
+w.document.getElementById('preset-name').value = 'Hammer time';
+w.document.getElementById('btn-save-preset').click();
+const saved = JSON.parse(w.localStorage.getItem('mightymen_presets') || '{}');
+check('preset saved with the current options', saved['Hammer time'] && saved['Hammer time'].rejectLimit === 'hammer' && saved['Hammer time'].ephod === true);
+check('saved preset is listed', /Hammer time/.test(w.document.getElementById('preset-list').textContent));
+
+w.document.querySelector('[data-preset-action="share"]').click();
+const link = w.document.querySelector('#preset-share a')?.getAttribute('href') || '';
+const shared = JSON.parse(new URL(link).searchParams.get('rules') || 'null');
+check('share link carries the preset', shared && shared.name === 'Hammer time' && shared.options.rejectLimit === 'hammer');
+
+for (const t of [a, b]) for (const p of t.players) p.ws.close();
+w.close();
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,174 @@
+// Evil whispers (options.evilWhisper). Evil players who know each other —
+// Saul, Phinehas and the Sheep, not Doeg — can post on the chat's 'evil'
+// channel; GameRoom delivers a whisper only to the sockets of the sender and
+// the allies createWhisper names. A ten-player table (Samuel, David, four
+// Mighty Men, Saul, Phinehas, Doeg, a Sheep) plus a spectator. Verifies: off
+// by default; who can whisper; whispers reach every ally and, in every raw
+// message ever sent, never a good player (Samuel included, though he sees the
+// senders), Doeg or a spectator — nor in the history a reconnect or a late
+// spectator gets; the table chat's numbering shows no gaps; a whisper keeps to
+// the allies it was sent to; and the client's channel choice and whisper lines.
+import WebSocket from 'ws';
+import { waitFor, joinClient } from './helpers.mjs';
+import { createGame, whisperRecipients, canReadChat, GameActions } from '../src/game-logic.js';
+
+const BASE = 'http://localhost:8799';
+const WSBASE = 'ws://localhost:8799';
+
+function connect(code, hello) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${WSBASE}/api/ws?code=${code}`);
+    const p = { ws, state: null, knowledge: null, identity: null, errors: [], chat: null, raw: [] };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+    ws.on('message', (raw) => {
+      const m = JSON.parse(raw.toString());
+      p.raw.push(raw.toString());
+      if (m.type === 'identity') p.identity = m;
+      if (m.type === 'chat') p.chat = m.history ? m.messages : [...(p.chat || []), ...m.messages];
+      if (m.type === 'state') { p.state = m.state; p.knowledge = m.knowledge; if (!p._ready) { p._ready = true; resolve(p); } }
+      if (m.type === 'error') { p.errors.push(m.message); if (!p._ready) reject(new Error(m.message)); }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error('timeout ' + JSON.stringify(hello))), 8000);
+  });
+}
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+const act = (p, action, data = {}) => p.ws.send(JSON.stringify({ type: 'action', action, data }));
+const whisper = (p, text) => p.ws.send(JSON.stringify({ type: 'chat', text, channel: 'evil' }));
+let pass = 0, fail = 0;
+const check = (n, c) => { c ? (pass++, console.log('  ✓', n)) : (fail++, console.log('  ✗ FAIL:', n)); };
+
+async function expectWhisperError(p, pattern) {
+  p.errors = [];
+  whisper(p, 'psst');
+  return waitFor(() => p.errors.some(e => pattern.test(e)));
+}
+const heardSecrets = (p) => p.raw.filter(m => m.includes('secret from')).length;
+
+const created = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice' }) })).json();
+const code = created.gameCode;
+const alice = await connect(code, { playerId: created.playerId, token: created.token });
+const players = [alice];
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran', 'Gil', 'Hana', 'Ivan', 'Jo']) { players.push(await connect(code, { name: n })); await wait(40); }
+await waitFor(() => alice.state.playerCount === 10);
+const kim = await connect(code, { spectate: true, name: 'Kim' });
+
+check('evil whispers are off by default', alice.state.options.evilWhisper === false);
+check('...and refused while off', await expectWhisperError(players[1], /not part of this game/));
+act(alice, 'setOptions', { options: { evilWhisper: true } });
+await waitFor(() => players.every(p => p.state.options.evilWhisper === true));
+act(alice, 'start');
+await waitFor(() => players.every(p => p.knowledge));
+
+const byRole = (role) => players.filter(p => p.knowledge.role === role);
+const [saul] = byRole('saul');
+const [phinehas] = byRole('phinehas');
+const [doeg] = byRole('doeg');
+const [sheep] = byRole('sheep');
+const [samuel] = byRole('samuel');
+const allies = [saul, phinehas, sheep];
+const outsiders = players.filter(p => !allies.includes(p));
+check('the standard ten-player deal: Saul, Phinehas, Doeg and a Sheep', !!(saul && phinehas && doeg && sheep && samuel));
+check('Saul, Phinehas and the Sheep can whisper; nobody else',
+  allies.every(p => p.state.canWhisper === true) && outsiders.every(p => p.state.canWhisper === false));
+check('Samuel can see the whisperers', ['phinehas', 'sheep'].every(r =>
+  samuel.knowledge.sees.some(s => s.id === byRole(r)[0].identity.playerId)));
+
+// ---- Whispering ----
+for (const p of allies) whisper(p, `secret from ${p.knowledge.role}`);
+check('every ally hears every whisper', await waitFor(() => allies.every(p =>
+  p.chat.filter(m => m.channel === 'evil').length === 3)));
+const sample = saul.chat.find(m => m.text === 'secret from phinehas');
+check('a whisper names the allies it went to',
+  JSON.stringify([...sample.to].sort()) === JSON.stringify([saul, sheep].map(p => p.identity.playerId).sort()));
+check("Doeg can't whisper", await expectWhisperError(doeg, /no allies/));
+check('nor can a good player', await expectWhisperError(samuel, /no allies/));
+check('nor a spectator', await expectWhisperError(kim, /Spectators can't chat/));
+
+// ---- Table talk around it ----
+// The room sends each socket its messages in order: once a table message sent
+// after the whispers has reached everyone, so would anything misdelivered
+alice.ws.send(JSON.stringify({ type: 'chat', text: 'good luck all' }));
+check('the table chat counts from 1 — no gap where the whispers went', await waitFor(() =>
+  [...players, kim].every(p => p.chat.some(m => m.channel === 'table' && m.text === 'good luck all' && m.seq === 1))));
+check('no whisper ever reached a good player', outsiders.filter(p => p !== doeg).every(p => heardSecrets(p) === 0));
+check('...not even Samuel', heardSecrets(samuel) === 0);
+check('...nor Doeg', heardSecrets(doeg) === 0);
+check('...nor the spectator', heardSecrets(kim) === 0);
+
+// ---- History ----
+samuel.ws.close();
+const samuelAgain = await connect(code, { playerId: samuel.identity.playerId, token: samuel.identity.token });
+await waitFor(() => Array.isArray(samuelAgain.chat));
+check("a good player's chat history has no whispers",
+  samuelAgain.chat.length === 1 && samuelAgain.chat[0].text === 'good luck all' && heardSecrets(samuelAgain) === 0);
+sheep.ws.close();
+const sheepAgain = await connect(code, { playerId: sheep.identity.playerId, token: sheep.identity.token });
+await waitFor(() => Array.isArray(sheepAgain.chat));
+check("an ally's history keeps every whisper", sheepAgain.chat.filter(m => m.channel === 'evil').length === 3);
+const lee = await connect(code, { spectate: true, name: 'Lee' });
+await waitFor(() => Array.isArray(lee.chat));
+check("a late spectator's history has none", lee.chat.length === 1 && heardSecrets(lee) === 0);
+for (const p of [...players, samuelAgain, sheepAgain, kim, lee]) if (p !== alice) p.ws.close();
+
+// ---- In game-logic.js alone ----
+const local = createGame('Alice', { seed: 'whisper' });
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran', 'Gil']) GameActions.join(local, n);
+GameActions.start(local, local.players[0].id);
+const evil = local.players.filter(p => ['saul', 'phinehas'].includes(p.role)).map(p => p.id);
+check('at seven, Saul and Phinehas whisper to each other, Doeg to nobody',
+  whisperRecipients(local, evil[0]).join() === evil[1] &&
+  whisperRecipients(local, local.players.find(p => p.role === 'doeg').id).length === 0);
+const sent = { channel: 'evil', playerId: 'a', to: ['b'] };
+check('a whisper is only ever read by its sender and the allies it went to (whatever roles come next)',
+  canReadChat(sent, 'a') && canReadChat(sent, 'b') && !canReadChat(sent, 'c'));
+
+// ============ Client rendering ============
+// Back at the ten-player table: Saul and Samuel in tabs, Phinehas over the wire
+
+const nameOf = (p) => alice.state.players.find(q => q.id === p.identity.playerId).name;
+const phinehasWire = await connect(code, { playerId: phinehas.identity.playerId, token: phinehas.identity.token });
+const saulTab = await joinClient(code, nameOf(saul));
+const samuelTab = await joinClient(code, nameOf(samuel));
+const $ = (w, x) => w.document.getElementById(x);
+const channels = (w) => [...$(w, 'chat-channel').options].map(o => o.value).join();
+check('no channel choice for someone who cannot whisper', $(samuelTab, 'chat-channel').classList.contains('hidden'));
+check('an ally chooses between everyone and a whisper',
+  !$(saulTab, 'chat-channel').classList.contains('hidden') && channels(saulTab) === 'table,evil');
+
+whisper(phinehasWire, 'go for Cy');
+const whisperLine = () => [...$(saulTab, 'chat-log').querySelectorAll('li')].find(li => li.textContent.includes('go for Cy'));
+check('whispers are marked', await waitFor(() => whisperLine()) && whisperLine().classList.contains('whisper') &&
+  whisperLine().textContent === `${nameOf(phinehas)} (whisper): go for Cy`);
+$(saulTab, 'chat-channel').value = 'evil';
+$(saulTab, 'chat-input').value = 'agreed';
+$(saulTab, 'btn-chat-send').click();
+check('Send whispers on the chosen channel', await waitFor(() =>
+  phinehasWire.chat.some(m => m.text === 'agreed' && m.channel === 'evil' && m.name === nameOf(saul))));
+phinehasWire.ws.send(JSON.stringify({ type: 'chat', text: 'your lead' }));
+const samuelLines = () => [...$(samuelTab, 'chat-log').querySelectorAll('li')].map(li => li.textContent);
+check("...and Samuel's tab, which has the table talk since, shows no whisper", await waitFor(() =>
+  samuelLines().some(line => line.endsWith('your lead'))) && !samuelLines().some(line => /go for Cy|agreed/.test(line)));
+for (const p of [alice, phinehasWire]) p.ws.close();
+for (const w of [saulTab, samuelTab]) w.close();
+
+// A seven-player table with table chat off and whispers on
+const quiet = await (await fetch(`${BASE}/api/create`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Alice' }) })).json();
+const quietHost = await connect(quiet.gameCode, { playerId: quiet.playerId, token: quiet.token });
+const quietPlayers = [quietHost];
+for (const n of ['Bob', 'Carl', 'Dave', 'Erin', 'Fran', 'Gil']) { quietPlayers.push(await connect(quiet.gameCode, { name: n })); await wait(40); }
+act(quietHost, 'setOptions', { options: { chat: false, evilWhisper: true } });
+await waitFor(() => quietPlayers.every(p => p.state.options.chat === false));
+act(quietHost, 'start');
+await waitFor(() => quietPlayers.every(p => p.knowledge));
+const quietName = (role) => ['Alice', 'Bob', 'Carl', 'Dave', 'Erin', 'Fran', 'Gil'][quietPlayers.findIndex(p => p.knowledge.role === role)];
+const quietSaul = await joinClient(quiet.gameCode, quietName('saul'));
+const quietSamuel = await joinClient(quiet.gameCode, quietName('samuel'));
+check('with table chat off, an ally still gets the panel, to whisper',
+  !$(quietSaul, 'chat-panel').classList.contains('hidden') && channels(quietSaul) === 'evil');
+check('...and nobody else does', $(quietSamuel, 'chat-panel').classList.contains('hidden'));
+for (const p of quietPlayers) p.ws.close();
+for (const w of [quietSaul, quietSamuel]) w.close();
+
+console.log(`\nRESULT: ${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);